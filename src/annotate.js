@@ -0,0 +1,434 @@
+/**
+ * 截图标注页面逻辑
+ * 在截图上绘制箭头、矩形、手绘线和文字，用马赛克遮盖敏感信息并裁剪，确认后交给后台上传保存
+ */
+
+import { getConfig, saveConfig } from './utils/storage.js';
+import { t, initI18nSystem, initI18n } from './utils/i18n.js';
+import { getStashedScreenshot, removeStashedScreenshot } from './utils/screenshot-store.js';
+
+const PIXELATE_BLOCK_SIZE = 16;
+const MIN_SHAPE_SIZE = 4;
+const WEBP_QUALITY = 0.92;
+// 文字字号相对线宽的倍数
+const TEXT_SIZE_RATIO = 5;
+
+const canvas = document.getElementById('annotate-canvas');
+const context = canvas.getContext('2d');
+const pixelCanvas = document.createElement('canvas');
+const colorInput = document.getElementById('color-input');
+const sizeSelect = document.getElementById('size-select');
+const formatSelect = document.getElementById('format-select');
+const undoBtn = document.getElementById('undo-btn');
+const cancelBtn = document.getElementById('cancel-btn');
+const saveBtn = document.getElementById('save-btn');
+const annotateStatus = document.getElementById('annotate-status');
+
+const screenshotId = new URLSearchParams(location.search).get('id');
+let screenshot = null; // 暂存的截图记录 {blob, url, title, source}
+let image = null; // 原始截图
+let currentTool = 'rect';
+let draft = null; // 正在绘制的操作
+
+// 标注操作按顺序重放，撤销即移除最后一项；裁剪也是一项操作，以最后一次裁剪为准
+const operations = [];
+
+(async () => {
+  await initI18nSystem();
+  initI18n();
+  formatSelect.value = await getConfig('screenshot_format', 'png');
+  await loadScreenshot();
+})();
+
+/**
+ * 读取后台暂存的截图
+ */
+async function loadScreenshot() {
+  try {
+    screenshot = screenshotId ? await getStashedScreenshot(screenshotId) : null;
+    if (!screenshot) {
+      throw new Error(t('annotate_error_notFound'));
+    }
+
+    image = await createImageBitmap(screenshot.blob);
+    document.title = `${t('annotate_title')} - ${screenshot.title}`;
+    render();
+  } catch (error) {
+    console.error('加载截图失败', error);
+    saveBtn.disabled = true;
+    showStatus('error', error.message);
+  }
+}
+
+// ========== 工具栏 ==========
+document.querySelectorAll('[data-tool]').forEach(button => {
+  button.addEventListener('click', () => {
+    currentTool = button.dataset.tool;
+    canvas.dataset.tool = currentTool;
+    document.querySelectorAll('[data-tool]').forEach(btn => {
+      btn.classList.toggle('active', btn === button);
+    });
+  });
+});
+
+undoBtn.addEventListener('click', undo);
+
+document.addEventListener('keydown', (event) => {
+  if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+    event.preventDefault();
+    undo();
+  }
+});
+
+function undo() {
+  if (!image) {
+    return;
+  }
+
+  operations.pop();
+  render();
+}
+
+cancelBtn.addEventListener('click', async () => {
+  if (operations.length > 0 && !confirm(t('annotate_confirm_discard'))) {
+    return;
+  }
+
+  await removeStashedScreenshot(screenshotId).catch(() => {});
+  closeTab();
+});
+
+saveBtn.addEventListener('click', async () => {
+  if (!image) {
+    return;
+  }
+
+  saveBtn.disabled = true;
+  showStatus('info', t('annotate_status_saving'));
+
+  try {
+    const format = formatSelect.value;
+    await saveConfig('screenshot_format', format);
+
+    const dataUrl = canvas.toDataURL(`image/${format}`, WEBP_QUALITY);
+    const result = await chrome.runtime.sendMessage({
+      action: 'save-screenshot',
+      dataUrl: dataUrl,
+      page: { url: screenshot.url, title: screenshot.title },
+      source: screenshot.source
+    });
+
+    if (!result.success && !result.queued) {
+      throw new Error(result.message);
+    }
+
+    await removeStashedScreenshot(screenshotId);
+    if (result.queued) {
+      showStatus('info', t('background_notification_queued'));
+    } else {
+      showStatus('success', t('context_menu_screenshot_saved'));
+    }
+    setTimeout(closeTab, 1200);
+  } catch (error) {
+    console.error('保存截图失败', error);
+    showStatus('error', t('status_error_saveFailed', error.message));
+    saveBtn.disabled = false;
+  }
+});
+
+async function closeTab() {
+  const tab = await chrome.tabs.getCurrent();
+  chrome.tabs.remove(tab.id);
+}
+
+// ========== 绘制交互 ==========
+canvas.addEventListener('pointerdown', (event) => {
+  if (!image || event.button !== 0) {
+    return;
+  }
+
+  const point = toImagePoint(event);
+
+  if (currentTool === 'text') {
+    addText(point);
+    return;
+  }
+
+  canvas.setPointerCapture(event.pointerId);
+  draft = {
+    type: currentTool,
+    color: colorInput.value,
+    size: parseInt(sizeSelect.value),
+    x1: point.x,
+    y1: point.y,
+    x2: point.x,
+    y2: point.y,
+    points: [point]
+  };
+  render();
+});
+
+canvas.addEventListener('pointermove', (event) => {
+  if (!draft) {
+    return;
+  }
+
+  const point = toImagePoint(event);
+  draft.x2 = point.x;
+  draft.y2 = point.y;
+  if (draft.type === 'pen') {
+    draft.points.push(point);
+  }
+  render();
+});
+
+canvas.addEventListener('pointerup', finishDraft);
+canvas.addEventListener('pointercancel', finishDraft);
+
+/**
+ * 结束当前绘制；误触产生的过小图形丢弃
+ */
+function finishDraft() {
+  if (!draft) {
+    return;
+  }
+
+  const operation = draft;
+  draft = null;
+
+  if (operation.type === 'crop') {
+    // 裁剪区域限制在当前可见范围内
+    const crop = intersectRect(normalizeRect(operation), getCrop());
+    if (Math.min(crop.width, crop.height) >= MIN_SHAPE_SIZE) {
+      operations.push({ type: 'crop', ...crop });
+    }
+  } else {
+    const rect = normalizeRect(operation);
+    const isTooSmall = operation.type === 'pen'
+      ? operation.points.length < 2
+      : Math.max(rect.width, rect.height) < MIN_SHAPE_SIZE;
+    if (!isTooSmall) {
+      operations.push(operation);
+    }
+  }
+
+  render();
+}
+
+/**
+ * 在点击位置添加文字
+ * @param {{x: number, y: number}} point
+ */
+function addText(point) {
+  const text = prompt(t('annotate_prompt_text'));
+  if (!text || !text.trim()) {
+    return;
+  }
+
+  operations.push({
+    type: 'text',
+    color: colorInput.value,
+    size: parseInt(sizeSelect.value),
+    x1: point.x,
+    y1: point.y,
+    text: text.trim()
+  });
+  render();
+}
+
+/**
+ * 将指针位置换算为原图坐标（画布可能被CSS缩放，且已按裁剪区域偏移）
+ * @param {PointerEvent} event
+ * @returns {{x: number, y: number}}
+ */
+function toImagePoint(event) {
+  const bounds = canvas.getBoundingClientRect();
+  const crop = getCrop();
+  return {
+    x: crop.x + (event.clientX - bounds.left) * canvas.width / bounds.width,
+    y: crop.y + (event.clientY - bounds.top) * canvas.height / bounds.height
+  };
+}
+
+// ========== 渲染 ==========
+
+/**
+ * 当前生效的裁剪区域（原图坐标），未裁剪时为整张图
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getCrop() {
+  const crop = operations.filter(operation => operation.type === 'crop').pop();
+  return crop || { x: 0, y: 0, width: image.width, height: image.height };
+}
+
+/**
+ * 重绘画布：原图 + 所有标注操作 + 正在绘制的操作
+ */
+function render() {
+  const crop = getCrop();
+  if (canvas.width !== crop.width || canvas.height !== crop.height) {
+    canvas.width = crop.width;
+    canvas.height = crop.height;
+  }
+
+  context.save();
+  context.translate(-crop.x, -crop.y);
+  context.drawImage(image, 0, 0);
+  operations.forEach(operation => drawOperation(operation, crop));
+  if (draft) {
+    drawOperation(draft, crop);
+  }
+  context.restore();
+
+  undoBtn.disabled = operations.length === 0;
+}
+
+/**
+ * 绘制单个操作（坐标为原图坐标，画布已平移到裁剪区域）
+ * @param {Object} operation
+ * @param {Object} crop - 当前裁剪区域
+ */
+function drawOperation(operation, crop) {
+  context.strokeStyle = operation.color;
+  context.fillStyle = operation.color;
+  context.lineWidth = operation.size;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+
+  const drawers = {
+    arrow: drawArrow,
+    rect: drawRect,
+    pen: drawPen,
+    text: drawText,
+    pixelate: drawPixelate,
+    crop: drawCropSelection
+  };
+
+  // 已生效的裁剪体现在画布尺寸上，只有正在拖动的裁剪框需要绘制
+  if (operation.type !== 'crop' || operation === draft) {
+    drawers[operation.type](operation, crop);
+  }
+}
+
+function drawArrow({ x1, y1, x2, y2, size }) {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const headLength = Math.max(12, size * 4);
+
+  context.beginPath();
+  context.moveTo(x1, y1);
+  context.lineTo(x2, y2);
+  context.stroke();
+
+  context.beginPath();
+  context.moveTo(x2, y2);
+  context.lineTo(x2 - headLength * Math.cos(angle - Math.PI / 6), y2 - headLength * Math.sin(angle - Math.PI / 6));
+  context.lineTo(x2 - headLength * Math.cos(angle + Math.PI / 6), y2 - headLength * Math.sin(angle + Math.PI / 6));
+  context.closePath();
+  context.fill();
+}
+
+function drawRect(operation) {
+  const { x, y, width, height } = normalizeRect(operation);
+  context.strokeRect(x, y, width, height);
+}
+
+function drawPen({ points }) {
+  context.beginPath();
+  points.forEach((point, index) => {
+    if (index === 0) {
+      context.moveTo(point.x, point.y);
+    } else {
+      context.lineTo(point.x, point.y);
+    }
+  });
+  context.stroke();
+}
+
+function drawText({ x1, y1, text, size }) {
+  context.font = `bold ${size * TEXT_SIZE_RATIO}px -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Microsoft YaHei', sans-serif`;
+  context.textBaseline = 'top';
+
+  // 白色描边保证文字在任意背景上可读
+  context.lineWidth = Math.max(2, size / 2);
+  context.strokeStyle = 'white';
+  text.split('\n').forEach((line, index) => {
+    const y = y1 + index * size * TEXT_SIZE_RATIO * 1.2;
+    context.strokeText(line, x1, y);
+    context.fillText(line, x1, y);
+  });
+}
+
+/**
+ * 马赛克：将区域内已绘制的内容缩小后放大（关闭平滑），原始像素不会保留在导出的图片中
+ */
+function drawPixelate(operation, crop) {
+  const { x, y, width, height } = intersectRect(normalizeRect(operation), crop);
+  if (width < 1 || height < 1) {
+    return;
+  }
+
+  pixelCanvas.width = Math.max(1, Math.ceil(width / PIXELATE_BLOCK_SIZE));
+  pixelCanvas.height = Math.max(1, Math.ceil(height / PIXELATE_BLOCK_SIZE));
+  pixelCanvas.getContext('2d').drawImage(
+    canvas,
+    x - crop.x, y - crop.y, width, height,
+    0, 0, pixelCanvas.width, pixelCanvas.height
+  );
+
+  context.imageSmoothingEnabled = false;
+  context.drawImage(pixelCanvas, 0, 0, pixelCanvas.width, pixelCanvas.height, x, y, width, height);
+  context.imageSmoothingEnabled = true;
+}
+
+function drawCropSelection(operation, crop) {
+  const { x, y, width, height } = normalizeRect(operation);
+
+  // 选区外变暗
+  context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  context.beginPath();
+  context.rect(crop.x, crop.y, crop.width, crop.height);
+  context.rect(x, y, width, height);
+  context.fill('evenodd');
+
+  context.setLineDash([8, 6]);
+  context.lineWidth = 2;
+  context.strokeStyle = 'white';
+  context.strokeRect(x, y, width, height);
+  context.setLineDash([]);
+}
+
+/**
+ * 由拖动起止点得到矩形（取整到像素）
+ * @param {{x1: number, y1: number, x2: number, y2: number}} operation
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function normalizeRect({ x1, y1, x2, y2 }) {
+  const x = Math.round(Math.min(x1, x2));
+  const y = Math.round(Math.min(y1, y2));
+  return {
+    x: x,
+    y: y,
+    width: Math.round(Math.max(x1, x2)) - x,
+    height: Math.round(Math.max(y1, y2)) - y
+  };
+}
+
+/**
+ * 两个矩形的交集
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function intersectRect(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  return {
+    x: x,
+    y: y,
+    width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+    height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y)
+  };
+}
+
+function showStatus(type, message) {
+  annotateStatus.className = `status-message ${type}`;
+  annotateStatus.textContent = message;
+}
@@ -4,12 +4,18 @@
  */
 
 import { initDefaultConfig, getConfig } from './utils/storage.js';
-import { createNote, retryQueuedNote, summarizeContent } from './utils/api-client.js';
-import { matchDomainTags, matchTemplate, replaceVariables } from './utils/template-matcher.js';
+import { createNote, retryQueuedNote, summarizeContent, generateIdempotencyKey, enqueueSummarizeJob } from './utils/api-client.js';
+import { matchDomainTags, matchExtractionRule, matchTemplate, replaceVariables } from './utils/template-matcher.js';
+import { formatSourceLine, getTemplateVariables } from './utils/page-metadata.js';
 import { t, initI18nSystem } from './utils/i18n.js';
-import { initDB, getQueue, updateItem, dequeue, getQueueSettings, shouldRetry, calculateRetryDelay, cleanup } from './utils/offline-queue.js';
-import { htmlToMarkdown } from './utils/html-to-markdown.js';
-import { processImages } from './utils/s3-uploader.js';
+import { initDB, enqueue, getQueue, updateItem, getQueueSettings, shouldRetry, calculateRetryDelay, cleanup, scheduleRetryAlarm, getNextRetryTime, onQueueChange, createAttachmentPlaceholder, RETRY_ALARM_NAME, QUEUE_CHANGED_ACTION } from './utils/offline-queue.js';
+import { runQueueProcessor } from './utils/queue-processor.js';
+import { startConnectivityMonitor, onBlinkoReachable, probeBlinko, PROBE_ALARM_NAME } from './utils/connectivity.js';
+import { htmlToMarkdownAsync } from './utils/offscreen.js';
+import { quoteMarkdown } from './utils/html-to-markdown.js';
+import { processImages, uploadImages, keepOriginalFormat } from './utils/s3-uploader.js';
+import { captureScreenshot } from './utils/screenshot.js';
+import { stashScreenshot } from './utils/screenshot-store.js';
 
 // 异步初始化 i18n
 (async () => {
@@ -115,6 +121,13 @@ async function createContextMenus() {
     contexts: ['page']
   });
   
+  chrome.contextMenus.create({
+    id: 'pick-and-save',
+    parentId: 'blinko-parent',
+    title: t('context_menu_pick_and_save'),
+    contexts: ['page']
+  });
+  
   chrome.contextMenus.create({
     id: 'save-screenshot',
     parentId: 'blinko-parent',
@@ -122,6 +135,20 @@ async function createContextMenus() {
     contexts: ['page']
   });
   
+  chrome.contextMenus.create({
+    id: 'save-screenshot-full-page',
+    parentId: 'blinko-parent',
+    title: t('context_menu_save_screenshot_full_page'),
+    contexts: ['page']
+  });
+  
+  chrome.contextMenus.create({
+    id: 'save-screenshot-region',
+    parentId: 'blinko-parent',
+    title: t('context_menu_save_screenshot_region'),
+    contexts: ['page']
+  });
+  
   // 使用模板子菜单（等待父菜单创建完成）
   await createTemplateMenus();
 }
@@ -213,8 +240,15 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     // 页面操作
     else if (menuId === 'save-full-page') {
       await handleSaveFullPage(info, tab);
+    } else if (menuId === 'pick-and-save') {
+      // 选择完成后content script发送 picker-completed，再按整页保存流程提交选中内容
+      await chrome.tabs.sendMessage(tab.id, { action: 'start-picker', source: 'context-menu' });
     } else if (menuId === 'save-screenshot') {
       await handleSaveScreenshot(info, tab);
+    } else if (menuId === 'save-screenshot-full-page') {
+      await handleSaveScreenshot(info, tab, { mode: 'full-page' });
+    } else if (menuId === 'save-screenshot-region') {
+      await handleSaveScreenshot(info, tab, { mode: 'region' });
     }
     // 使用模板
     else if (menuId.startsWith('use-template-')) {
@@ -231,17 +265,21 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
  * 处理保存选中文本
  */
 async function handleSaveSelection(info, tab) {
-  let content = info.selectionText;
+  // 优先保留选区中的链接、粗体、列表、代码等格式，无法获取时使用纯文本
+  const selection = await extractSelection(info, tab);
+  const quoted = selection.markdown || info.selectionText;
   
-  if (!content || !content.trim()) {
+  if (!quoted || !quoted.trim()) {
     showNotification(t('background_notification_error'), t('background_notification_noSelection'), 'error');
     return;
   }
   
+  let content = quoteMarkdown(quoted.trim());
+  
   // 是否包含链接
   const includeLink = await getConfig('include_link_selection', true);
   if (includeLink && tab) {
-    content += `\n\n来源：[${tab.title}](${tab.url})`;
+    content += `\n\n${formatSourceLine(tab.title, tab.url, selection.metadata)}`;
   }
   
   // 添加标签
@@ -379,19 +417,14 @@ async function handleSaveFullPage(info, tab) {
     showNotification(t('background_notification_processing'), t('context_menu_extracting_page'), 'info');
     
     // 向content script发送消息提取页面内容
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'extract-content'
-    });
-    
-    if (!response || !response.html) {
-      throw new Error('无法提取页面内容');
-    }
+    const response = await extractTabContent(tab);
+    const title = response.title || tab.title;
     
     // 转换为Markdown
-    const { markdown } = htmlToMarkdown(response.html, false);
+    const { markdown } = await htmlToMarkdownAsync(response.html, false);
     
-    let content = `# ${tab.title}\n\n${markdown}`;
-    content += `\n\n来源：[${tab.title}](${tab.url})`;
+    let content = `# ${title}\n\n${markdown}`;
+    content += `\n\n${formatSourceLine(title, tab.url, response.metadata)}`;
     
     // 添加场景标签
     const tag = await getConfig('tag_full_page', '#网页/全文');
@@ -414,7 +447,7 @@ async function handleSaveFullPage(info, tab) {
       blinkoConfig.authorization,
       content,
       1, // 笔记类型
-      { source: 'context-menu-full-page', url: tab.url, title: tab.title }
+      { source: 'context-menu-full-page', url: tab.url, title: title }
     );
     
     if (result.success) {
@@ -432,84 +465,43 @@ async function handleSaveFullPage(info, tab) {
 
 /**
  * 处理保存页面截图
+ * 开启标注时截图先交给标注编辑页，由编辑页确认后再保存
+ * @param {Object|null} info - 右键菜单点击信息
+ * @param {chrome.tabs.Tab} tab - 目标标签页
+ * @param {Object} options - {mode: 'visible' | 'full-page' | 'region', source}
  */
-async function handleSaveScreenshot(info, tab) {
+async function handleSaveScreenshot(info, tab, { mode = 'visible', source = 'context-menu-screenshot' } = {}) {
   try {
-    showNotification(t('background_notification_processing'), t('context_menu_capturing_screenshot'), 'info');
-    
-    // 捕获当前可视区域截图
-    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
-      format: 'png',
-      quality: 95
-    });
-    
-    let content = '';
-    
-    // 检查是否配置了S3
-    const s3Config = await getS3Config();
-    const hasS3 = s3Config.accessKey && s3Config.bucket && s3Config.endpoint;
-    
-    if (hasS3) {
-      try {
-        // 上传到S3
-        const timestamp = Date.now();
-        const filename = `screenshot-${timestamp}.png`;
-        const urlMap = await processImages([dataUrl], s3Config);
-        
-        if (urlMap && urlMap[dataUrl]) {
-          content = `![Screenshot](${urlMap[dataUrl]})`;
-        } else {
-          // S3上传失败，降级使用DataURL
-          content = `![Screenshot](${dataUrl})`;
-          console.warn('[background] S3 upload failed, using DataURL');
-        }
-      } catch (s3Error) {
-        console.error('[background] S3 upload error:', s3Error);
-        content = `![Screenshot](${dataUrl})`;
-      }
-    } else {
-      // 未配置S3，使用DataURL
-      content = `![Screenshot](${dataUrl})`;
+    // 框选时通知会遮挡页面，选定区域后再提示
+    if (mode !== 'region') {
+      showNotification(t('background_notification_processing'), t('context_menu_capturing_screenshot'), 'info');
     }
     
-    content += `\n\n来源：[${tab.title}](${tab.url})`;
-    
-    // 添加场景标签
-    const tag = await getConfig('tag_screenshot', '#网页/截图');
-    if (tag) {
-      content += `\n\n${tag}`;
-    }
-    
-    // 添加域名标签
-    const domainTagRules = await getConfig('domain_tag_rules', []);
-    const strategy = await getConfig('domain_tag_match_strategy', 'first');
-    const domainTags = matchDomainTags(tab.url, domainTagRules, strategy);
-    if (domainTags) {
-      content += ` ${domainTags}`;
+    const dataUrl = await captureScreenshot(tab, mode);
+    if (!dataUrl) {
+      console.log('[background] Region selection cancelled');
+      return;
     }
     
-    // 保存到Blinko
-    const blinkoConfig = await getBlinkoConfig();
-    const result = await createNote(
-      blinkoConfig.apiUrl,
-      blinkoConfig.authorization,
-      content,
-      1, // 笔记类型
-      { source: 'context-menu-screenshot', url: tab.url, title: tab.title }
-    );
+    const page = { url: tab.url, title: tab.title };
     
-    if (result.success) {
-      showNotification(t('background_notification_saveSuccess'), t('context_menu_screenshot_saved'), 'success');
-    } else if (result.queued) {
-      showNotification(t('background_notification_queued'), t('background_notification_willRetry'), 'info');
-    } else {
-      showNotification(t('background_notification_saveFailed'), result.message, 'error');
+    if (await getConfig('screenshot_annotate', true)) {
+      const blob = await (await fetch(dataUrl)).blob();
+      const id = await stashScreenshot(blob, page, source);
+      await chrome.tabs.create({
+        url: chrome.runtime.getURL(`src/annotate.html?id=${id}`),
+        index: tab.index + 1,
+        openerTabId: tab.id
+      });
+      return;
     }
+    
+    notifyScreenshotResult(await saveScreenshotNote(dataUrl, page, source));
   } catch (error) {
     console.error('[background] Save screenshot failed:', error);
     
-    // 特殊页面错误处理
-    if (error.message && error.message.includes('cannot be captured')) {
+    // 特殊页面错误处理（整页和框选截图还需要页面中的content script）
+    if (error.message && (error.message.includes('cannot be captured') || error.message.includes('Receiving end does not exist'))) {
       showNotification(t('background_notification_error'), t('context_menu_screenshot_not_supported'), 'error');
     } else {
       showNotification(t('background_notification_error'), error.message, 'error');
@@ -517,6 +509,118 @@ async function handleSaveScreenshot(info, tab) {
   }
 }
 
+/**
+ * 显示截图保存结果通知
+ * @param {Object} result - saveScreenshotNote 的返回值
+ */
+function notifyScreenshotResult(result) {
+  if (result.success) {
+    showNotification(t('background_notification_saveSuccess'), t('context_menu_screenshot_saved'), 'success');
+  } else if (result.queued) {
+    showNotification(t('background_notification_queued'), t('background_notification_willRetry'), 'info');
+  } else {
+    showNotification(t('background_notification_saveFailed'), result.message, 'error');
+  }
+}
+
+/**
+ * 将截图保存为笔记
+ * 配置了S3时上传图片，上传失败则截图作为附件入队；未配置S3时内嵌DataURL
+ * @param {string} dataUrl - 截图（PNG或WebP）
+ * @param {Object} page - 截图所在页面 {url, title}
+ * @param {string} source - 截图来源（写入笔记metadata）
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFormat=false] - 上传时保持截图格式（标注编辑页中用户已选择PNG或WebP）
+ * @returns {Promise<{success: boolean, queued?: boolean, message?: string}>}
+ */
+async function saveScreenshotNote(dataUrl, page, source, { keepFormat = false } = {}) {
+  let content = '';
+  const attachments = [];
+  
+  // 检查是否配置了S3
+  let s3Config = await getS3Config();
+  if (keepFormat) {
+    s3Config = keepOriginalFormat(s3Config);
+  }
+  const hasS3 = s3Config.accessKey && s3Config.bucket && s3Config.endpoint;
+  
+  if (hasS3) {
+    let imageUrl = null;
+    try {
+      // 上传到S3（上传失败时映射表中保留原DataURL）
+      const urlMap = await processImages([dataUrl], s3Config);
+      const uploadedUrl = urlMap.get(dataUrl);
+      if (uploadedUrl && uploadedUrl !== dataUrl) {
+        imageUrl = uploadedUrl;
+      }
+    } catch (s3Error) {
+      console.error('[background] S3 upload error:', s3Error);
+    }
+    
+    if (imageUrl) {
+      content = `![Screenshot](${imageUrl})`;
+    } else {
+      // S3上传失败，截图作为附件入队，重试时先上传再提交
+      console.warn('[background] S3 upload failed, queueing screenshot as attachment');
+      const placeholder = createAttachmentPlaceholder();
+      const blob = await (await fetch(dataUrl)).blob();
+      attachments.push({ placeholder, blob, filename: `screenshot-${Date.now()}.${getImageExtension(blob.type)}`, keepFormat });
+      content = `![Screenshot](${placeholder})`;
+    }
+  } else {
+    // 未配置S3，使用DataURL
+    content = `![Screenshot](${dataUrl})`;
+  }
+  
+  content += `\n\n来源：[${page.title}](${page.url})`;
+  
+  // 添加场景标签
+  const tag = await getConfig('tag_screenshot', '#网页/截图');
+  if (tag) {
+    content += `\n\n${tag}`;
+  }
+  
+  // 添加域名标签
+  const domainTagRules = await getConfig('domain_tag_rules', []);
+  const strategy = await getConfig('domain_tag_match_strategy', 'first');
+  const domainTags = matchDomainTags(page.url, domainTagRules, strategy);
+  if (domainTags) {
+    content += ` ${domainTags}`;
+  }
+  
+  const metadata = { source: source, url: page.url, title: page.title };
+  
+  // 截图上传失败时不提交带占位符的笔记，直接入队
+  if (attachments.length > 0) {
+    const queueResult = await enqueueWithAttachments(content, 1, metadata, attachments);
+    if (queueResult.success) {
+      return { success: false, queued: true };
+    }
+    
+    // 无法入队时退回到内嵌DataURL
+    content = content.replace(attachments[0].placeholder, dataUrl);
+  }
+  
+  // 保存到Blinko
+  const blinkoConfig = await getBlinkoConfig();
+  return createNote(
+    blinkoConfig.apiUrl,
+    blinkoConfig.authorization,
+    content,
+    1, // 笔记类型
+    metadata
+  );
+}
+
+/**
+ * 由图片MIME类型得到文件扩展名
+ * @param {string} type - 如 'image/webp'
+ * @returns {string}
+ */
+function getImageExtension(type) {
+  return (type || '').replace(/^image\//, '') || 'png';
+}
+
 /**
  * 处理使用模板保存
  */
@@ -533,40 +637,59 @@ async function handleSaveWithTemplate(info, tab, templateId) {
     showNotification(t('background_notification_processing'), `正在使用【${template.name}】处理...`, 'info');
     
     // 提取页面内容
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'extract-content'
-    });
+    const response = await extractTabContent(tab);
+    const title = response.title || tab.title;
     
-    if (!response || !response.html) {
-      throw new Error('无法提取页面内容');
-    }
+    const { markdown } = await htmlToMarkdownAsync(response.html, false);
     
-    const { markdown } = htmlToMarkdown(response.html, false);
+    let footer = `\n\n${formatSourceLine(title, tab.url, response.metadata)}`;
+    
+    // 添加域名标签
+    const domainTagRules = await getConfig('domain_tag_rules', []);
+    const strategy = await getConfig('domain_tag_match_strategy', 'first');
+    const domainTags = matchDomainTags(tab.url, domainTagRules, strategy);
+    if (domainTags) {
+      footer += `\n\n${domainTags}`;
+    }
     
     // 使用模板总结
+    const { systemPrompt, userPrompt } = replaceVariables(
+      template.content,
+      markdown,
+      getTemplateVariables(title, tab.url, response.metadata)
+    );
     const openaiConfig = await getOpenAIConfig();
     const summaryResult = await summarizeContent(
       openaiConfig.baseUrl,
       openaiConfig.apiKey,
       openaiConfig.model,
-      template.content, // 模板作为system prompt
-      markdown
+      systemPrompt,
+      userPrompt
     );
     
     if (!summaryResult.success) {
+      // AI服务暂不可用时保存提取结果，稍后再总结
+      if (summaryResult.retryable) {
+        const queueResult = await enqueueSummarizeJob({
+          markdown,
+          templateId,
+          type: 1,
+          url: tab.url,
+          title: title,
+          pageMetadata: response.metadata,
+          footer,
+          source: 'context-menu-template'
+        }, summaryResult.message);
+        
+        if (queueResult.success) {
+          showNotification(t('background_notification_queued'), t('background_notification_summarizeQueued'), 'info');
+          return;
+        }
+      }
       throw new Error(summaryResult.message);
     }
     
-    let content = summaryResult.summary;
-    content += `\n\n来源：[${tab.title}](${tab.url})`;
-    
-    // 添加域名标签
-    const domainTagRules = await getConfig('domain_tag_rules', []);
-    const strategy = await getConfig('domain_tag_match_strategy', 'first');
-    const domainTags = matchDomainTags(tab.url, domainTagRules, strategy);
-    if (domainTags) {
-      content += `\n\n${domainTags}`;
-    }
+    const content = summaryResult.summary + footer;
     
     // 保存到Blinko
     const blinkoConfig = await getBlinkoConfig();
@@ -575,7 +698,7 @@ async function handleSaveWithTemplate(info, tab, templateId) {
       blinkoConfig.authorization,
       content,
       1, // 笔记类型
-      { source: 'context-menu-template', templateId, url: tab.url, title: tab.title }
+      { source: 'context-menu-template', templateId, url: tab.url, title: title }
     );
     
     if (result.success) {
@@ -591,6 +714,51 @@ async function handleSaveWithTemplate(info, tab, templateId) {
   }
 }
 
+/**
+ * 向content script请求选区的HTML并转换为Markdown
+ * content script只注入顶层页面，iframe中的选区及无法注入的页面返回空结果
+ * @param {Object} info - 右键菜单信息
+ * @param {chrome.tabs.Tab} tab - 目标标签页
+ * @returns {Promise<{markdown: string, metadata: Object}>}
+ */
+async function extractSelection(info, tab) {
+  if (!tab || info.frameId) {
+    return { markdown: '', metadata: {} };
+  }
+  
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'extract-selection' }, { frameId: 0 });
+    if (!response || !response.success || !response.html) {
+      return { markdown: '', metadata: response?.metadata || {} };
+    }
+    
+    const { markdown } = await htmlToMarkdownAsync(response.html, true);
+    return { markdown, metadata: response.metadata || {} };
+  } catch (error) {
+    console.warn('[background] Failed to extract selection HTML, using plain text:', error.message);
+    return { markdown: '', metadata: {} };
+  }
+}
+
+/**
+ * 向content script请求页面内容，附带当前域名匹配的正文提取规则
+ * @param {chrome.tabs.Tab} tab - 目标标签页
+ * @returns {Promise<Object>} {html, confidence, title, metadata}，title 仅在规则配置了标题选择器时有值
+ */
+async function extractTabContent(tab) {
+  const extractionRules = await getConfig('extraction_rules', []);
+  const response = await chrome.tabs.sendMessage(tab.id, {
+    action: 'extract-content',
+    rule: matchExtractionRule(tab.url, extractionRules)
+  });
+  
+  if (!response || !response.html) {
+    throw new Error('无法提取页面内容');
+  }
+  
+  return response;
+}
+
 /**
  * 获取S3配置
  */
@@ -604,7 +772,15 @@ async function getS3Config() {
     cdn: await getConfig('s3_cdn', ''),
     customPath: await getConfig('s3_custom_path', ''),
     acl: await getConfig('s3_acl', 'public'),
-    presignedExpiry: await getConfig('s3_presigned_expiry', 3650)
+    presignedExpiry: await getConfig('s3_presigned_expiry', 3650),
+    optimization: {
+      enabled: await getConfig('image_optimize_enabled', true),
+      format: await getConfig('image_optimize_format', 'original'),
+      quality: await getConfig('image_optimize_quality', 85) / 100,
+      maxWidth: await getConfig('image_max_width', 2560),
+      maxHeight: await getConfig('image_max_height', 0),
+      maxBytes: await getConfig('image_max_size_kb', 1024) * 1024
+    }
   };
 }
 
@@ -673,9 +849,101 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ success: true });
   }
   
+  // 右键菜单启动的元素选择已确认
+  if (request.action === 'picker-completed' && sender.tab) {
+    handleSaveFullPage(null, sender.tab);
+    sendResponse({ success: true });
+  }
+  
+  // 其他上下文（popup、设置页）修改了离线队列
+  if (request.action === QUEUE_CHANGED_ACTION) {
+    scheduleBadgeUpdate();
+    if (request.change?.type === 'enqueue') {
+      scheduleNextRetry();
+    }
+    sendResponse({ success: true });
+  }
+  
+  // popup发起的截图，popup关闭后由后台完成截取和保存
+  if (request.action === 'capture-screenshot') {
+    chrome.tabs.get(request.tabId)
+      .then(tab => handleSaveScreenshot(null, tab, { mode: request.mode, source: 'popup-screenshot' }))
+      .catch(error => console.error('[background] Capture screenshot failed:', error));
+    sendResponse({ success: true });
+  }
+  
+  // 标注编辑页确认保存截图
+  if (request.action === 'save-screenshot') {
+    saveScreenshotNote(request.dataUrl, request.page, request.source, { keepFormat: true })
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, message: error.message }));
+  }
+  
+  // 设置页面手动重试队列项
+  if (request.action === 'retry-queue-items') {
+    retryQueueItemsManually(request.ids || [])
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, message: error.message }));
+  }
+  
   return true; // 保持消息通道开放
 });
 
+const SUCCESS_CLEANUP_ALARM = 'cleanup-queue-success';
+const QUEUE_NOTIFICATION_PREFIX = 'queue-failure-';
+const BADGE_UPDATE_DELAY = 200;
+const BADGE_COLOR_PENDING = '#fd7e14';
+const BADGE_COLOR_FAILED = '#dc3545';
+
+// 重试调度alarm需在顶层同步注册，保证Service Worker被alarm唤醒时能收到事件
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === RETRY_ALARM_NAME) {
+    console.log('[background] Retry alarm fired');
+    await processQueue();
+  } else if (alarm.name === SUCCESS_CLEANUP_ALARM) {
+    const removed = await cleanup();
+    console.log(`[background] Cleaned up ${removed} succeeded items`);
+  } else if (alarm.name === PROBE_ALARM_NAME) {
+    // 只在有待提交的队列项时探测，避免空队列时持续请求Blinko
+    if (await getNextRetryTime() !== null) {
+      await probeBlinko();
+    }
+  }
+});
+
+// Blinko由不可达恢复为可达时立即提交队列（忽略计划重试时间）
+startConnectivityMonitor();
+onBlinkoReachable(() => {
+  console.log('[background] Blinko reachable, processing queue...');
+  processQueue({ ignoreSchedule: true });
+});
+
+// 队列失败通知的按钮：0 = 立即重试，1 = 打开队列
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(QUEUE_NOTIFICATION_PREFIX)) {
+    return;
+  }
+  
+  chrome.notifications.clear(notificationId);
+  const id = Number(notificationId.slice(QUEUE_NOTIFICATION_PREFIX.length));
+  
+  if (buttonIndex === 0) {
+    await retryQueueItemsManually([id]);
+  } else {
+    openQueuePage();
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(QUEUE_NOTIFICATION_PREFIX)) {
+    chrome.notifications.clear(notificationId);
+    openQueuePage();
+  }
+});
+
+// Service Worker内的队列变化（入队、重试结果等）同步刷新徽章
+onQueueChange(() => scheduleBadgeUpdate());
+
 // 初始化离线队列处理
 (async () => {
   await initOfflineQueueProcessing();
@@ -690,9 +958,10 @@ async function initOfflineQueueProcessing() {
     
     // 初始化数据库
     await initDB();
+    await updateQueueBadge();
     
-    // 检查并处理pending/retrying的项
-    await processQueueOnStartup();
+    // 处理已到期（或租约过期）的项，并按持久化的重试时间重新安排调度
+    await processQueue();
     
     // 监听网络状态变化
     setupNetworkListeners();
@@ -709,101 +978,346 @@ async function initOfflineQueueProcessing() {
   }
 }
 
+let badgeTimer = null;
+
 /**
- * 启动时处理队列
+ * 合并短时间内的多次队列变化，只刷新一次徽章
  */
-async function processQueueOnStartup() {
+function scheduleBadgeUpdate() {
+  clearTimeout(badgeTimer);
+  badgeTimer = setTimeout(updateQueueBadge, BADGE_UPDATE_DELAY);
+}
+
+/**
+ * 按离线队列中未完成的项（等待中/重试中/失败）更新工具栏徽章
+ * 颜色按严重程度区分：有失败项为红色，否则为橙色
+ */
+async function updateQueueBadge() {
   try {
     const queue = await getQueue('all');
-    const pendingItems = queue.filter(item => 
-      item.status === 'pending' || item.status === 'retrying'
-    );
+    const active = queue.filter(item => item.status !== 'success');
+    const hasFailed = active.some(item => item.status === 'failed');
     
-    if (pendingItems.length > 0) {
-      console.log(`[background] Found ${pendingItems.length} pending items, starting retry...`);
-      
-      // 逐个重试
-      for (const item of pendingItems) {
-        await retryQueueItem(item);
-      }
+    if (active.length === 0) {
+      await chrome.action.setBadgeText({ text: '' });
+      return;
     }
+    
+    await chrome.action.setBadgeText({ text: active.length > 99 ? '99+' : String(active.length) });
+    await chrome.action.setBadgeBackgroundColor({ color: hasFailed ? BADGE_COLOR_FAILED : BADGE_COLOR_PENDING });
   } catch (error) {
-    console.error('[background] Error processing queue on startup:', error);
+    console.error('[background] Failed to update queue badge:', error);
   }
 }
 
 /**
- * 重试队列项
+ * 处理离线队列
+ * 队列项以租约方式领取，启动、网络恢复、alarm等多个触发源同时运行也不会重复提交
+ * @param {Object} options - {ignoreSchedule: 是否忽略计划重试时间（如网络恢复时）}
+ * @returns {Promise<Array<{id: number, status: string}>>} 处理结果
  */
-async function retryQueueItem(item) {
+async function processQueue(options = {}) {
   try {
-    const settings = await getQueueSettings();
-    
-    // 检查是否应该继续重试
-    if (!shouldRetry(item.retryCount, settings.retryStrategy)) {
-      console.log(`[background] Max retries reached for item ${item.id}`);
-      await updateItem(item.id, {
-        status: 'failed',
-        lastError: '达到最大重试次数'
-      });
-      return;
+    const results = await runQueueProcessor(retryQueueItem, options);
+    
+    // 成功项按设置的保留时长保留，到期后清理
+    if (results.some(r => r.status === 'success')) {
+      const { successRetention } = await getQueueSettings();
+      chrome.alarms.create(SUCCESS_CLEANUP_ALARM, { when: Date.now() + successRetention });
     }
     
-    // 更新状态为重试中
-    await updateItem(item.id, {
-      status: 'retrying'
-    });
+    return results;
+  } catch (error) {
+    console.error('[background] Error processing queue:', error);
+    return [];
+  } finally {
+    await scheduleNextRetry();
+  }
+}
+
+let retryTimer = null;
+
+/**
+ * 安排下一次重试
+ * alarm负责持久化调度（Service Worker重启、浏览器重启后依然有效）；
+ * 由于alarm最短延迟为30秒，Service Worker存活期间额外用定时器保证短延迟按时执行
+ */
+async function scheduleNextRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  
+  const nextRetryAt = await scheduleRetryAlarm();
+  if (nextRetryAt === null) {
+    return;
+  }
+  
+  const delay = Math.max(0, nextRetryAt - Date.now());
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processQueue();
+  }, delay);
+}
+
+/**
+ * 重试队列项（由队列处理器在持有租约时调用）
+ * @param {Object} item - 已租用的队列项
+ * @param {Object} lease - 租约，见 runQueueProcessor
+ * @returns {Promise<Object|null>} 需写回队列项的字段；租约已丢失而放弃提交时返回null
+ */
+async function retryQueueItem(item, lease) {
+  const settings = await getQueueSettings();
+  
+  // 检查是否应该继续重试
+  if (!shouldRetry(item.retryCount, settings.retryStrategy)) {
+    console.log(`[background] Max retries reached for item ${item.id}`);
+    const lastError = '达到最大重试次数';
+    await notifyQueueFailure(item, lastError, true, settings);
+    return {
+      status: 'failed',
+      lastError
+    };
+  }
+  
+  // 提交前的准备步骤（AI总结、上传附件）的结果随处理结果写回，下次重试不再重复执行
+  const prepared = {};
+  let result = null;
+  
+  if (item.jobType === 'summarize') {
+    const summaryResult = await summarizeQueuedJob(item);
+    if (summaryResult.success) {
+      Object.assign(prepared, { content: summaryResult.content, jobType: 'note' });
+    } else {
+      result = { success: false, message: t('background_error_queueSummarizeFailed', summaryResult.message) };
+    }
+  }
+  
+  if (!result && item.attachments?.length > 0) {
+    const uploadResult = await uploadQueuedAttachments({ ...item, ...prepared });
+    Object.assign(prepared, uploadResult);
+    if (uploadResult.attachments.length > 0) {
+      result = { success: false, message: t('background_error_attachmentUploadFailed', String(uploadResult.attachments.length)) };
+    }
+  }
+  
+  if (!result) {
+    // 提交前确认仍持有租约，租约已被其他处理者领取时由其提交，避免重复笔记
+    if (!await lease.renew()) {
+      console.warn(`[background] Lease lost for item ${item.id}, skip submitting`);
+      return null;
+    }
     
     // 获取Blinko配置并重试
     const blinkoConfig = await getBlinkoConfig();
-    const result = await retryQueuedNote(item, blinkoConfig.apiUrl, blinkoConfig.authorization);
-    
-    if (result.success) {
-      // 成功 - 标记为成功，稍后清理
-      await updateItem(item.id, {
-        status: 'success',
-        lastError: ''
-      });
-      console.log(`[background] Successfully retried item ${item.id}`);
+    result = await retryQueuedNote({ ...item, ...prepared }, blinkoConfig.apiUrl, blinkoConfig.authorization);
+  }
+  
+  if (result.success) {
+    // 成功 - 标记为成功，稍后清理
+    console.log(`[background] Successfully retried item ${item.id}`);
+    return {
+      ...prepared,
+      status: 'success',
+      lastError: ''
+    };
+  }
+  
+  // 失败 - 增加重试次数，持久化下次重试时间（由scheduleNextRetry统一调度）
+  const newRetryCount = item.retryCount + 1;
+  
+  if (!shouldRetry(newRetryCount, settings.retryStrategy)) {
+    console.log(`[background] Max retries reached for item ${item.id}`);
+    await notifyQueueFailure(item, result.message, true, settings);
+    return {
+      ...prepared,
+      status: 'failed',
+      retryCount: newRetryCount,
+      lastError: result.message
+    };
+  }
+  
+  const delay = calculateRetryDelay(newRetryCount, settings.retryStrategy);
+  console.log(`[background] Retry failed for item ${item.id}, will retry in ${delay}ms`);
+  await notifyQueueFailure(item, result.message, false, settings);
+  
+  return {
+    ...prepared,
+    status: 'pending',
+    retryCount: newRetryCount,
+    nextRetryAt: Date.now() + delay,
+    lastError: result.message
+  };
+}
+
+/**
+ * 按模板总结队列中的AI总结任务
+ * 指定的模板已被删除时任务失败；未指定模板时按域名规则匹配
+ * @param {Object} item - 队列项（content为提取的Markdown）
+ * @returns {Promise<{success: boolean, content?: string, message?: string}>} content为附加footer后的笔记内容
+ */
+async function summarizeQueuedJob(item) {
+  const templates = await getConfig('templates', []);
+  let template;
+  
+  if (item.templateId) {
+    template = templates.find(t => t.id === item.templateId);
+    if (!template) {
+      return { success: false, message: '模板不存在' };
+    }
+  } else {
+    const domainRules = await getConfig('domain_rules', []);
+    const defaultTemplate = await getConfig('default_template', '');
+    template = matchTemplate(item.url, templates, domainRules, defaultTemplate);
+  }
+  
+  const { systemPrompt, userPrompt } = replaceVariables(
+    template.content,
+    item.content,
+    getTemplateVariables(item.title, item.url, item.metadata?.pageMetadata)
+  );
+  const openaiConfig = await getOpenAIConfig();
+  const result = await summarizeContent(
+    openaiConfig.baseUrl,
+    openaiConfig.apiKey,
+    openaiConfig.model,
+    systemPrompt,
+    userPrompt
+  );
+  
+  if (!result.success) {
+    return result;
+  }
+  
+  return { success: true, content: result.summary + (item.footer || '') };
+}
+
+/**
+ * 上传队列项的附件，并将内容中的占位符替换为上传后的URL
+ * @param {Object} item - 队列项
+ * @returns {Promise<{content: string, attachments: Array}>} 替换后的内容与仍未上传的附件
+ */
+async function uploadQueuedAttachments(item) {
+  const s3Config = await getS3Config();
+  if (!s3Config.accessKey || !s3Config.bucket || !s3Config.endpoint) {
+    console.warn(`[background] S3 not configured, cannot upload attachments of item ${item.id}`);
+    return { content: item.content, attachments: item.attachments };
+  }
+  
+  const results = await uploadImages(
+    item.attachments.map(attachment => ({ blob: attachment.blob, filename: attachment.filename, keepFormat: attachment.keepFormat })),
+    s3Config
+  );
+  
+  let content = item.content;
+  const remaining = [];
+  
+  item.attachments.forEach((attachment, index) => {
+    const result = results[index];
+    if (result.success && result.url) {
+      content = content.split(attachment.placeholder).join(result.url);
     } else {
-      // 失败 - 增加重试次数，计算下次重试时间
-      const newRetryCount = item.retryCount + 1;
-      await updateItem(item.id, {
-        status: 'pending',
-        retryCount: newRetryCount,
-        lastError: result.message
-      });
-      
-      // 计算下次重试延迟
-      const delay = calculateRetryDelay(newRetryCount, settings.retryStrategy);
-      console.log(`[background] Retry failed for item ${item.id}, will retry in ${delay}ms`);
-      
-      // 安排下次重试
-      setTimeout(() => retryQueueItem(item), delay);
+      remaining.push(attachment);
     }
-  } catch (error) {
-    console.error(`[background] Error retrying item ${item.id}:`, error);
-    await updateItem(item.id, {
-      status: 'failed',
-      lastError: error.message
-    });
+  });
+  
+  console.log(`[background] Uploaded ${item.attachments.length - remaining.length}/${item.attachments.length} attachments of item ${item.id}`);
+  return { content, attachments: remaining };
+}
+
+/**
+ * 携带附件直接入队（跳过提交），遵循自动重试设置
+ * @param {string} content - 含附件占位符的笔记内容
+ * @param {number} type - 笔记类型
+ * @param {Object} metadata - 元数据
+ * @param {Array} attachments - 附件 [{placeholder, blob, filename, keepFormat?}]
+ * @returns {Promise<{success: boolean, id?: number, message?: string}>}
+ */
+async function enqueueWithAttachments(content, type, metadata, attachments) {
+  const settings = await getQueueSettings();
+  if (!settings.autoRetry) {
+    return { success: false, message: 'Auto retry disabled' };
   }
+  
+  return await enqueue({
+    content,
+    type,
+    url: metadata.url || '',
+    title: metadata.title || '',
+    idempotencyKey: generateIdempotencyKey(),
+    attachments,
+    metadata
+  });
+}
+
+/**
+ * 按队列设置（failureNotification）发送重试失败通知
+ * @param {Object} item - 队列项
+ * @param {string} error - 失败原因
+ * @param {boolean} isFinal - 是否为最终失败（不再自动重试）
+ * @param {Object} settings - 队列设置
+ */
+async function notifyQueueFailure(item, error, isFinal, settings) {
+  const mode = settings.failureNotification;
+  if (mode === 'disabled' || (mode === 'final' && !isFinal)) {
+    return;
+  }
+  
+  const name = item.title || item.content.substring(0, 30);
+  chrome.notifications.create(`${QUEUE_NOTIFICATION_PREFIX}${item.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: isFinal ? t('background_notification_queueFailed') : t('background_notification_queueRetryFailed'),
+    message: t('background_notification_queueFailedDetail', name, error || ''),
+    priority: 2,
+    buttons: [
+      { title: t('background_notification_btnRetryNow') },
+      { title: t('background_notification_btnOpenQueue') }
+    ]
+  });
+}
+
+/**
+ * 在设置页中打开离线队列
+ */
+function openQueuePage() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('src/settings.html#queue') });
+}
+
+/**
+ * 手动重试指定队列项
+ * 重置重试次数并立即到期，失败项会按正常策略继续排队
+ * @param {Array<number>} ids - 队列项ID列表
+ * @returns {Promise<{success: boolean, succeeded: number}>}
+ */
+async function retryQueueItemsManually(ids) {
+  const queue = await getQueue('all');
+  // 正在重试（持有租约）的项不做重置，避免被重复领取
+  const items = queue.filter(item => 
+    ids.includes(item.id) && (item.status === 'pending' || item.status === 'failed')
+  );
+  
+  for (const item of items) {
+    await updateItem(item.id, { status: 'pending', retryCount: 0, nextRetryAt: Date.now() });
+  }
+  
+  const results = await processQueue();
+  const succeeded = results.filter(r => ids.includes(r.id) && r.status === 'success').length;
+  
+  return { success: true, succeeded };
 }
 
 /**
  * 设置网络状态监听
  */
 function setupNetworkListeners() {
-  // Service Worker中的网络状态监听
-  // 注意：Service Worker中navigator.onLine可能不可靠
-  // 我们使用chrome.runtime.onConnect来检测popup/options页面的连接
+  // 连通性主要由 connectivity.js 监测（online/offline事件 + 定期探测Blinko）
+  // popup/options页面也可通过 network-status 端口通知网络恢复
   
   chrome.runtime.onConnect.addListener((port) => {
     if (port.name === 'network-status') {
       port.onMessage.addListener(async (msg) => {
         if (msg.type === 'network-online') {
           console.log('[background] Network online, processing queue...');
-          await processQueueOnStartup();
+          await processQueue({ ignoreSchedule: true });
         }
       });
     }
@@ -821,7 +1335,7 @@ function setupPeriodicCheck() {
   chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'check-queue') {
       console.log('[background] Periodic queue check triggered');
-      await processQueueOnStartup();
+      await processQueue();
     }
   });
 }
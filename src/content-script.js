@@ -7,8 +7,15 @@
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'extract-content') {
     try {
-      const html = extractPageContent();
-      sendResponse({ success: true, html: html });
+      const { html, confidence, picked, title } = extractPageContent(request.mode, request.rule);
+      sendResponse({
+        success: true,
+        html: html,
+        confidence: confidence,
+        picked: picked,
+        title: title,
+        metadata: extractPageMetadata()
+      });
     } catch (error) {
       console.error('提取内容失败', error);
       sendResponse({ success: false, error: error.message });
@@ -16,6 +23,48 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // 保持消息通道开放
   }
   
+  if (request.action === 'extract-selection') {
+    try {
+      sendResponse({ success: true, html: serializeSelection(), metadata: extractPageMetadata() });
+    } catch (error) {
+      console.error('提取选区失败', error);
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  }
+  
+  if (request.action === 'start-picker') {
+    startPicker(request.source || 'popup');
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  if (request.action === 'prepare-full-page-capture') {
+    sendResponse(prepareFullPageCapture());
+    return true;
+  }
+  
+  if (request.action === 'scroll-for-capture') {
+    scrollForCapture(request.y, request.hideFixed).then(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'finish-full-page-capture') {
+    finishFullPageCapture();
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  if (request.action === 'select-region') {
+    selectRegion().then(rect => sendResponse({ success: true, rect: rect, viewportWidth: window.innerWidth }));
+    return true;
+  }
+  
+  if (request.action === 'has-picked-content') {
+    sendResponse({ success: true, picked: pickedContent !== null });
+    return true;
+  }
+  
   if (request.action === 'extract-images') {
     try {
       const images = extractImages();
@@ -56,107 +105,389 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 /**
  * 提取页面主要内容
- * @returns {string} HTML字符串
+ * 用户通过元素选择器选定的内容优先返回（仅返回一次）
+ * @param {string} mode - 提取模式：'auto' 自动识别正文（默认），'full-page' 整页
+ * @param {Object|null} rule - 当前域名的提取规则 {contentSelector, removeSelectors, titleSelector}
+ * @returns {{html: string, confidence: number, picked?: boolean, title?: string}} HTML字符串、正文识别可信度（0-1）及规则指定的标题
+ */
+function extractPageContent(mode = 'auto', rule = null) {
+  const title = getRuleTitle(rule);
+  
+  if (mode === 'auto' && pickedContent !== null) {
+    const html = pickedContent;
+    pickedContent = null;
+    return { html: html, confidence: 1, picked: true, title: title };
+  }
+  
+  if (mode !== 'full-page') {
+    // 尝试找到主要内容区域
+    const result = findMainContent(rule);
+    
+    if (result) {
+      return { html: result.element.innerHTML, confidence: result.confidence, title: title };
+    }
+  }
+  
+  // 如果找不到主要内容，返回body内容（仍移除规则指定的元素）
+  let html = document.body.innerHTML;
+  if (rule && rule.removeSelectors && rule.removeSelectors.length > 0) {
+    const body = document.body.cloneNode(true);
+    removeMatching(body, rule.removeSelectors);
+    html = body.innerHTML;
+  }
+  
+  return { html: html, confidence: mode === 'full-page' ? 1 : 0, title: title };
+}
+
+/**
+ * 按规则的标题选择器读取页面标题
+ * @param {Object|null} rule - 提取规则
+ * @returns {string} 未配置或未命中时返回空字符串
  */
-function extractPageContent() {
-  // 尝试找到主要内容区域
-  const mainContent = findMainContent();
+function getRuleTitle(rule) {
+  if (!rule || !rule.titleSelector) {
+    return '';
+  }
+  
+  const [element] = queryAll(document, rule.titleSelector);
+  return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * 按规则的正文选择器取出内容，多个匹配元素按文档顺序合并
+ * @param {string} selector - 正文选择器
+ * @returns {Element|null} 匹配元素的副本，未命中时返回null
+ */
+function selectRuleContent(selector) {
+  const elements = queryAll(document, selector);
+  if (elements.length === 0) {
+    return null;
+  }
   
-  if (mainContent) {
-    return mainContent.innerHTML;
+  if (elements.length === 1) {
+    return elements[0].cloneNode(true);
   }
   
-  // 如果找不到主要内容，返回body内容
-  return document.body.innerHTML;
+  const container = document.createElement('div');
+  elements.forEach(element => container.appendChild(element.cloneNode(true)));
+  return container;
+}
+
+/**
+ * querySelectorAll 的容错版本，用户配置的选择器无效时返回空列表
+ * @param {ParentNode} root - 查询根节点
+ * @param {string} selector - CSS选择器
+ * @returns {Element[]}
+ */
+function queryAll(root, selector) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (error) {
+    console.warn('无效的选择器', selector);
+    return [];
+  }
+}
+
+/**
+ * 移除所有匹配选择器的子元素
+ * @param {Element} element - 根元素
+ * @param {string[]} selectors - CSS选择器列表
+ */
+function removeMatching(element, selectors) {
+  selectors.forEach(selector => {
+    queryAll(element, selector).forEach(el => el.remove());
+  });
 }
 
+// 正文识别的类名/ID提示（参考 Mozilla Readability）
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_HINTS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// 可作为段落参与评分的元素，以及不含块级子元素的div
+const PARAGRAPH_SELECTOR = 'p, pre, td, blockquote, div';
+const BLOCK_ELEMENTS = 'a, blockquote, dl, div, img, ol, p, pre, table, ul, section, article';
+// 以下阈值均以 measureText 的词数计（中日文按字计）
+const MIN_PARAGRAPH_WORDS = 5;
+const WORDS_PER_BONUS_POINT = 20;
+const SIBLING_PARAGRAPH_WORDS = 15;
+
+// 候选容器按标签的初始分
+const TAG_SCORES = {
+  ARTICLE: 10, MAIN: 10,
+  DIV: 5,
+  PRE: 3, TD: 3, BLOCKQUOTE: 3,
+  ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+  H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+};
+const LOW_CONFIDENCE_WORDS = 100;
+
 /**
  * 查找主要内容区域
- * @returns {Element|null}
+ * 域名规则指定了正文选择器且命中时直接使用，其次使用匹配当前网站的站点适配器；
+ * 否则按段落长度、标点密度和类名/ID提示为候选容器评分，选出得分最高者并合并相关的兄弟内容块
+ * @param {Object|null} rule - 当前域名的提取规则
+ * @returns {{element: Element, confidence: number}|null}
  */
-function findMainContent() {
-  // 优先级选择器列表
-  const selectors = [
-    'article',
-    'main',
-    '[role="main"]',
-    '.main-content',
-    '.post-content',
-    '.article-content',
-    '.entry-content',
-    '#content',
-    '.content',
-    '#main',
-    '.main'
-  ];
+function findMainContent(rule = null) {
+  const removeSelectors = (rule && rule.removeSelectors) || [];
   
-  // 尝试每个选择器
-  for (const selector of selectors) {
-    const element = document.querySelector(selector);
-    if (element && hasSubstantialContent(element)) {
-      return cleanElement(element.cloneNode(true));
+  if (rule && rule.contentSelector) {
+    const ruleContent = selectRuleContent(rule.contentSelector);
+    if (ruleContent) {
+      return { element: cleanElement(ruleContent, removeSelectors), confidence: 1 };
     }
+    console.log('提取规则的正文选择器未命中，回退到自动识别', rule.contentSelector);
   }
   
-  // 如果上述选择器都失败，尝试启发式方法
-  return findContentByHeuristic();
+  const adapted = extractWithSiteAdapter();
+  if (adapted) {
+    removeMatching(adapted, removeSelectors);
+    return { element: adapted, confidence: 1 };
+  }
+  
+  const scores = scoreCandidates();
+  if (scores.size === 0) {
+    return null;
+  }
+  
+  // 最终得分按链接密度折算
+  let topCandidate = null;
+  let topScore = 0;
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - calculateLinkDensity(element));
+    scores.set(element, finalScore);
+    if (finalScore > topScore) {
+      topCandidate = element;
+      topScore = finalScore;
+    }
+  });
+  
+  if (!topCandidate) {
+    return null;
+  }
+  
+  const element = cleanElement(joinSiblingContent(topCandidate, topScore, scores), removeSelectors);
+  
+  return {
+    element: element,
+    confidence: calculateConfidence(element, topScore)
+  };
+}
+
+/**
+ * 为段落的祖先容器累计得分
+ * @returns {Map<Element, number>} 候选容器 -> 得分
+ */
+function scoreCandidates() {
+  const scores = new Map();
+  
+  document.body.querySelectorAll(PARAGRAPH_SELECTOR).forEach(paragraph => {
+    // 含块级子元素的div由其子元素参与评分
+    if (paragraph.tagName === 'DIV' && paragraph.querySelector(BLOCK_ELEMENTS)) {
+      return;
+    }
+    
+    if (!isVisible(paragraph) || isUnlikelyCandidate(paragraph)) {
+      return;
+    }
+    
+    const text = getInnerText(paragraph);
+    const words = measureText(text);
+    if (words < MIN_PARAGRAPH_WORDS) {
+      return;
+    }
+    
+    // 基础分 + 每个逗号（含中文标点）1分 + 每20词1分（最多3分）
+    const commas = (text.match(/[,，、。；;]/g) || []).length;
+    const contentScore = 1 + commas + Math.min(Math.floor(words / WORDS_PER_BONUS_POINT), 3);
+    
+    // 分数向上传递：父节点全额，祖父节点一半，更高层级递减
+    let ancestor = paragraph.parentElement;
+    for (let level = 0; ancestor && ancestor !== document.documentElement && level < 5; level++) {
+      if (!scores.has(ancestor)) {
+        scores.set(ancestor, initialScore(ancestor));
+      }
+      
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+      ancestor = ancestor.parentElement;
+    }
+  });
+  
+  return scores;
+}
+
+/**
+ * 按标签和类名/ID提示计算候选容器的初始分
+ * @param {Element} element
+ * @returns {number}
+ */
+function initialScore(element) {
+  return getClassWeight(element) + (TAG_SCORES[element.tagName] || 0);
+}
+
+/**
+ * 根据类名和ID判断内容倾向
+ * @param {Element} element
+ * @returns {number} 正向 +25，负向 -25
+ */
+function getClassWeight(element) {
+  let weight = 0;
+  const className = typeof element.className === 'string' ? element.className : '';
+  
+  if (className) {
+    if (NEGATIVE_HINTS.test(className)) weight -= 25;
+    if (POSITIVE_HINTS.test(className)) weight += 25;
+  }
+  
+  if (element.id) {
+    if (NEGATIVE_HINTS.test(element.id)) weight -= 25;
+    if (POSITIVE_HINTS.test(element.id)) weight += 25;
+  }
+  
+  return weight;
 }
 
 /**
- * 检查元素是否包含实质性内容
+ * 判断元素是否位于评论区、侧边栏等不太可能是正文的区域
  * @param {Element} element
  * @returns {boolean}
  */
-function hasSubstantialContent(element) {
-  const text = element.textContent.trim();
-  const wordCount = text.split(/\s+/).length;
-  return wordCount > 100; // 至少100个词
+function isUnlikelyCandidate(element) {
+  for (let node = element; node && node !== document.body; node = node.parentElement) {
+    if (node.tagName === 'ARTICLE' || node.tagName === 'MAIN') {
+      return false;
+    }
+    
+    const matchString = `${typeof node.className === 'string' ? node.className : ''} ${node.id}`;
+    if (UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) {
+      return true;
+    }
+    
+    if (node.getAttribute('role') === 'complementary' || node.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+  }
+  
+  return false;
 }
 
 /**
- * 启发式查找内容
- * @returns {Element|null}
+ * 合并与最佳候选相关的兄弟内容块（如被广告分隔的正文段落）
+ * @param {Element} topCandidate - 最佳候选
+ * @param {number} topScore - 最佳候选得分
+ * @param {Map<Element, number>} scores - 候选得分
+ * @returns {Element} 合并后的内容（克隆节点）
  */
-function findContentByHeuristic() {
-  // 找到所有文本密度高的元素
-  const candidates = [];
-  const allElements = document.body.querySelectorAll('div, section, article');
+function joinSiblingContent(topCandidate, topScore, scores) {
+  const parent = topCandidate.parentElement;
+  if (!parent || parent === document.documentElement) {
+    return topCandidate.cloneNode(true);
+  }
   
-  allElements.forEach(element => {
-    // 跳过导航、侧边栏等
-    const classAndId = (element.className + ' ' + element.id).toLowerCase();
-    if (classAndId.match(/(nav|sidebar|footer|header|menu|advertisement|ad-)/)) {
+  const threshold = Math.max(10, topScore * 0.2);
+  const container = document.createElement('div');
+  
+  Array.from(parent.children).forEach(sibling => {
+    if (sibling === topCandidate) {
+      container.appendChild(sibling.cloneNode(true));
       return;
     }
     
-    // 计算文本密度
-    const text = element.textContent.trim();
-    const wordCount = text.split(/\s+/).length;
+    let bonus = 0;
+    if (sibling.className && sibling.className === topCandidate.className) {
+      bonus = topScore * 0.2;
+    }
+    
+    let append = scores.has(sibling) && scores.get(sibling) + bonus >= threshold;
     
-    if (wordCount > 100) {
-      candidates.push({
-        element: element,
-        wordCount: wordCount,
-        linkDensity: calculateLinkDensity(element)
-      });
+    if (!append && sibling.tagName === 'P') {
+      const text = getInnerText(sibling);
+      const linkDensity = calculateLinkDensity(sibling);
+      
+      if (measureText(text) > SIBLING_PARAGRAPH_WORDS && linkDensity < 0.25) {
+        append = true;
+      } else if (text.length > 0 && linkDensity === 0 && /[.。!！?？]$/.test(text)) {
+        append = true;
+      }
+    }
+    
+    if (append) {
+      container.appendChild(sibling.cloneNode(true));
     }
   });
   
-  // 选择词数最多且链接密度低的元素
-  if (candidates.length > 0) {
-    candidates.sort((a, b) => {
-      // 优先选择链接密度低的
-      if (Math.abs(a.linkDensity - b.linkDensity) > 0.1) {
-        return a.linkDensity - b.linkDensity;
-      }
-      // 然后按词数排序
-      return b.wordCount - a.wordCount;
-    });
-    
-    return cleanElement(candidates[0].element.cloneNode(true));
+  return container.children.length === 1 ? container.firstElementChild : container;
+}
+
+/**
+ * 估算正文识别的可信度
+ * 综合候选得分、正文长度、链接密度，以及正文是否几乎覆盖整个页面（可能选中了整页容器）
+ * @param {Element} element - 提取结果
+ * @param {number} topScore - 最佳候选得分
+ * @returns {number} 0-1之间的值
+ */
+function calculateConfidence(element, topScore) {
+  const textLength = measureText(getInnerText(element));
+  const pageLength = measureText(getInnerText(document.body)) || 1;
+  
+  const scoreFactor = Math.min(topScore / 100, 1);
+  const lengthFactor = Math.min(textLength / LOW_CONFIDENCE_WORDS, 1);
+  const linkFactor = 1 - calculateLinkDensity(element);
+  const coverage = textLength / pageLength;
+  
+  let confidence = scoreFactor * 0.4 + lengthFactor * 0.3 + linkFactor * 0.3;
+  if (coverage > 0.9) {
+    confidence *= 0.6;
+  }
+  
+  return Math.round(confidence * 100) / 100;
+}
+
+// 书写时词间不加空格的文字（汉字、平假名、片假名），按字计数
+const UNSPACED_SCRIPT_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * 按文字体系统计文本长度
+ * 中日文每个字计为一个词，拉丁文、韩文等以空白分词的文字按词计数
+ * @param {string} text
+ * @returns {number} 词数
+ */
+function measureText(text) {
+  const unspacedCount = (text.match(UNSPACED_SCRIPT_CHAR) || []).length;
+  const spacedCount = text
+    .replace(UNSPACED_SCRIPT_CHAR, ' ')
+    .split(/\s+/)
+    .filter(word => WORD_CHAR.test(word))
+    .length;
+  
+  return unspacedCount + spacedCount;
+}
+
+/**
+ * 获取元素的规范化文本
+ * @param {Element} element
+ * @returns {string}
+ */
+function getInnerText(element) {
+  return (element.textContent || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * 判断元素是否可见
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isVisible(element) {
+  if (element.hidden) {
+    return false;
   }
   
-  return null;
+  const style = element.style;
+  return !style || style.display !== 'none';
 }
 
 /**
@@ -180,9 +511,10 @@ function calculateLinkDensity(element) {
 /**
  * 清理元素，移除无用内容
  * @param {Element} element
+ * @param {string[]} extraSelectors - 额外需要移除的元素选择器（来自域名提取规则）
  * @returns {Element}
  */
-function cleanElement(element) {
+function cleanElement(element, extraSelectors = []) {
   // 移除脚本、样式等
   const unwantedSelectors = [
     'script',
@@ -203,9 +535,8 @@ function cleanElement(element) {
     'aside'
   ];
   
-  unwantedSelectors.forEach(selector => {
-    element.querySelectorAll(selector).forEach(el => el.remove());
-  });
+  // 连同域名提取规则指定的元素一并移除
+  removeMatching(element, unwantedSelectors.concat(extraSelectors));
   
   // 转换相对URL为绝对URL
   convertRelativeUrls(element);
@@ -272,6 +603,189 @@ function extractImages() {
   return images;
 }
 
+// JSON-LD中描述页面结构而非内容本身的类型，选择主体时跳过
+const STRUCTURAL_LD_TYPES = ['WebSite', 'WebPage', 'BreadcrumbList', 'Organization', 'Person', 'ImageObject', 'SiteNavigationElement', 'SearchAction'];
+
+/**
+ * 提取页面的结构化元数据
+ * 依次参考 JSON-LD、OpenGraph、Dublin Core 和常规 meta 标签，前者优先
+ * @returns {{title: string, description: string, author: string, publishedAt: string, siteName: string, canonicalUrl: string, language: string, coverImage: string, type: string}}
+ * 缺失的字段为空字符串
+ */
+function extractPageMetadata() {
+  const ld = findJsonLdEntity() || {};
+  
+  return {
+    title: firstValue(ld.headline, ld.name, getMeta('og:title'), getMeta('DC.title'), getPageTitle()),
+    description: firstValue(ld.description, getPageDescription()),
+    author: firstValue(
+      getLdNames(ld.author),
+      getMeta('author'),
+      getMeta('DC.creator'),
+      nonUrl(getMeta('article:author')),
+      getMeta('twitter:creator')
+    ),
+    publishedAt: firstValue(
+      ld.datePublished,
+      ld.dateCreated,
+      getMeta('article:published_time'),
+      getMeta('DC.date.issued'),
+      getMeta('DCTERMS.issued'),
+      getMeta('DC.date'),
+      getMeta('datePublished'),
+      getAttribute('article time[datetime], time[itemprop="datePublished"]', 'datetime')
+    ),
+    siteName: firstValue(getLdNames(ld.publisher), getMeta('og:site_name'), getMeta('DC.publisher'), getMeta('application-name')),
+    canonicalUrl: toAbsoluteUrl(firstValue(getAttribute('link[rel="canonical"]', 'href'), getMeta('og:url'))),
+    language: firstValue(document.documentElement.lang, ld.inLanguage, getMeta('DC.language'), getMeta('og:locale')),
+    coverImage: toAbsoluteUrl(firstValue(getLdImage(ld.image), getMeta('og:image'), getMeta('twitter:image'))),
+    type: firstValue(getLdType(ld), getMeta('og:type'), getMeta('DC.type'))
+  };
+}
+
+/**
+ * 从页面的 JSON-LD 中选出描述页面主体的实体（Article、Product、Recipe等）
+ * @returns {Object|null}
+ */
+function findJsonLdEntity() {
+  const entities = [];
+  
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collectLdEntities(JSON.parse(script.textContent), entities);
+    } catch (error) {
+      console.warn('无法解析JSON-LD', error.message);
+    }
+  });
+  
+  return entities.find(entity => !STRUCTURAL_LD_TYPES.includes(getLdType(entity))) || null;
+}
+
+/**
+ * 展开 JSON-LD 中的数组和 @graph，收集带 @type 的实体
+ * @param {*} node - JSON-LD节点
+ * @param {Object[]} entities - 收集结果
+ */
+function collectLdEntities(node, entities) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectLdEntities(child, entities));
+    return;
+  }
+  
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  
+  if (node['@type']) {
+    entities.push(node);
+  }
+  
+  if (node['@graph']) {
+    collectLdEntities(node['@graph'], entities);
+  }
+}
+
+/**
+ * 获取 JSON-LD 实体的类型（多类型时取第一个）
+ * @param {Object} entity
+ * @returns {string}
+ */
+function getLdType(entity) {
+  const type = Array.isArray(entity['@type']) ? entity['@type'][0] : entity['@type'];
+  return typeof type === 'string' ? type : '';
+}
+
+/**
+ * 读取 JSON-LD 中的人名或机构名（author、publisher等），多个时以逗号连接
+ * @param {*} value - 字符串、{name} 对象或其数组
+ * @returns {string}
+ */
+function getLdNames(value) {
+  const values = Array.isArray(value) ? value : [value];
+  
+  return values
+    .map(item => (item && typeof item === 'object' ? item.name : item))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim())
+    .join(', ');
+}
+
+/**
+ * 读取 JSON-LD 中的图片地址
+ * @param {*} value - 字符串、ImageObject 或其数组
+ * @returns {string}
+ */
+function getLdImage(value) {
+  const image = Array.isArray(value) ? value[0] : value;
+  if (image && typeof image === 'object') {
+    return image.url || image.contentUrl || '';
+  }
+  return typeof image === 'string' ? image : '';
+}
+
+/**
+ * 读取 meta 标签内容，同时匹配 name、property 和 itemprop（不区分大小写）
+ * @param {string} key - 如 og:title、DC.creator
+ * @returns {string}
+ */
+function getMeta(key) {
+  const element = document.querySelector(
+    `meta[property="${key}" i], meta[name="${key}" i], meta[itemprop="${key}" i]`
+  );
+  return element ? element.getAttribute('content') || '' : '';
+}
+
+/**
+ * 读取第一个匹配元素的属性
+ * @param {string} selector - CSS选择器
+ * @param {string} name - 属性名
+ * @returns {string}
+ */
+function getAttribute(selector, name) {
+  const element = document.querySelector(selector);
+  return element ? element.getAttribute(name) || '' : '';
+}
+
+/**
+ * 返回第一个非空的字符串值（已去除首尾空白）
+ * @param {...*} values
+ * @returns {string}
+ */
+function firstValue(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * 过滤掉URL形式的值（如 article:author 常为作者主页链接）
+ * @param {string} value
+ * @returns {string}
+ */
+function nonUrl(value) {
+  return /^https?:\/\//i.test(value) ? '' : value;
+}
+
+/**
+ * 将相对地址转换为绝对地址
+ * @param {string} url
+ * @returns {string} 无法解析时返回空字符串
+ */
+function toAbsoluteUrl(url) {
+  if (!url) {
+    return '';
+  }
+  
+  try {
+    return new URL(url, window.location.href).href;
+  } catch (error) {
+    return '';
+  }
+}
+
 /**
  * 获取页面标题
  * @returns {string}
@@ -458,5 +972,936 @@ async function triggerLazyLoadImages(config, progressCallback) {
   }
 }
 
+// ========== 选区 ==========
+
+// 选区位于这些元素内部时，保留其外层结构（如代码块、列表、链接、粗体）
+const SELECTION_CONTEXT_TAGS = new Set([
+  'A', 'B', 'STRONG', 'I', 'EM', 'CODE', 'DEL', 'S', 'MARK', 'SUP', 'SUB',
+  'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'
+]);
+
+/**
+ * 将当前选区序列化为清理后的HTML（URL已转为绝对地址）
+ * 多个选区（如按住Ctrl多选）依次拼接
+ * @returns {string} 没有选中内容时返回空字符串
+ */
+function serializeSelection() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed) {
+    return '';
+  }
+  
+  const container = document.createElement('div');
+  
+  for (let i = 0; i < selection.rangeCount; i++) {
+    const range = selection.getRangeAt(i);
+    if (range.collapsed) {
+      continue;
+    }
+    
+    const block = document.createElement('div');
+    block.appendChild(wrapWithSelectionContext(range.cloneContents(), range.commonAncestorContainer));
+    container.appendChild(block);
+  }
+  
+  return cleanElement(container).innerHTML;
+}
+
+/**
+ * 用选区外层的格式元素（浅拷贝）包裹选中的片段
+ * cloneContents 只包含选区内部的节点，例如只选中代码块中的几行时会丢失 <pre>
+ * @param {DocumentFragment} fragment - 选中的内容
+ * @param {Node} ancestor - 选区的公共祖先节点
+ * @returns {Node}
+ */
+function wrapWithSelectionContext(fragment, ancestor) {
+  let wrapped = fragment;
+  let element = ancestor.nodeType === Node.ELEMENT_NODE ? ancestor : ancestor.parentElement;
+  
+  while (element && element !== document.body) {
+    if (SELECTION_CONTEXT_TAGS.has(element.tagName)) {
+      const wrapper = element.cloneNode(false);
+      wrapper.appendChild(wrapped);
+      wrapped = wrapper;
+    }
+    element = element.parentElement;
+  }
+  
+  return wrapped;
+}
+
+// ========== 站点适配器 ==========
 
+// 为常用网站提供结构化的正文提取，未匹配或未找到内容时回退到通用识别
+// 适配器：{name, matches(url: URL) => boolean, extract() => Element|null}
+const SITE_ADAPTERS = [];
 
+/**
+ * 注册站点适配器，先注册的优先匹配
+ * @param {{name: string, matches: Function, extract: Function}} adapter
+ */
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push(adapter);
+}
+
+registerSiteAdapter({
+  name: 'github',
+  // 只匹配仓库首页（/owner/repo）；/blob/、/tree/ 等页面中的 markdown-body 是文件内容而不是仓库 README
+  matches: url => url.hostname === 'github.com' && url.pathname.split('/').filter(Boolean).length === 2,
+  extract: extractGitHubRepo
+});
+
+registerSiteAdapter({
+  name: 'youtube',
+  matches: url => /(^|\.)youtube\.com$/.test(url.hostname) && url.pathname === '/watch',
+  extract: extractYouTubeVideo
+});
+
+registerSiteAdapter({
+  name: 'twitter',
+  matches: url => /(^|\.)(twitter|x)\.com$/.test(url.hostname) && url.pathname.includes('/status/'),
+  extract: extractTweetThread
+});
+
+registerSiteAdapter({
+  name: 'zhihu',
+  matches: url => /(^|\.)zhihu\.com$/.test(url.hostname),
+  extract: extractZhihuContent
+});
+
+registerSiteAdapter({
+  name: 'wechat',
+  matches: url => url.hostname === 'mp.weixin.qq.com',
+  extract: extractWeChatArticle
+});
+
+/**
+ * 使用匹配当前页面的站点适配器提取内容
+ * @returns {Element|null} 适配器生成的内容，没有适配器或提取失败时返回null
+ */
+function extractWithSiteAdapter() {
+  const url = new URL(window.location.href);
+  const adapter = SITE_ADAPTERS.find(candidate => candidate.matches(url));
+  if (!adapter) {
+    return null;
+  }
+  
+  try {
+    const element = adapter.extract();
+    if (!element) {
+      console.log(`站点适配器 ${adapter.name} 未找到内容，回退到自动识别`);
+      return null;
+    }
+    
+    element.querySelectorAll('script, style, noscript, template, button').forEach(el => el.remove());
+    convertRelativeUrls(element);
+    return element;
+  } catch (error) {
+    console.warn(`站点适配器 ${adapter.name} 提取失败，回退到自动识别`, error);
+    return null;
+  }
+}
+
+/**
+ * GitHub 仓库首页：仓库名、简介、统计数据和 README
+ * @returns {Element|null}
+ */
+function extractGitHubRepo() {
+  const readme = document.querySelector('#readme article.markdown-body, article.markdown-body.entry-content');
+  const [, owner, repo] = window.location.pathname.split('/');
+  if (!readme || !owner || !repo) {
+    return null;
+  }
+  
+  const container = document.createElement('div');
+  appendText(container, 'h1', `${owner}/${repo}`);
+  appendText(container, 'p', textOf('.BorderGrid-cell p.f4, [itemprop="about"]'));
+  
+  const stats = [
+    ['Stars', counterOf('#repo-stars-counter-star')],
+    ['Forks', counterOf('#repo-network-counter')],
+    ['Watchers', textOf('a[href$="/watchers"] strong')],
+    ['Topics', Array.from(document.querySelectorAll('a.topic-tag'), tag => getInnerText(tag)).join(', ')]
+  ].filter(([, value]) => value);
+  
+  if (stats.length > 0) {
+    const list = document.createElement('ul');
+    stats.forEach(([label, value]) => appendText(list, 'li', `${label}: ${value}`));
+    container.appendChild(list);
+  }
+  
+  const content = readme.cloneNode(true);
+  // 标题旁的锚点链接只有图标
+  content.querySelectorAll('a.anchor, svg').forEach(el => el.remove());
+  container.appendChild(content);
+  
+  return container;
+}
+
+/**
+ * YouTube 视频：标题、频道、简介、章节，以及已在页面中展开的字幕文本
+ * @returns {Element|null}
+ */
+function extractYouTubeVideo() {
+  const videoId = new URLSearchParams(window.location.search).get('v');
+  const title = textOf('h1.ytd-watch-metadata, h1.title');
+  if (!videoId || !title) {
+    return null;
+  }
+  
+  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+  const container = document.createElement('div');
+  appendText(container, 'h1', title);
+  
+  const link = document.createElement('a');
+  link.href = videoUrl;
+  link.textContent = videoUrl;
+  const linkParagraph = document.createElement('p');
+  linkParagraph.appendChild(link);
+  container.appendChild(linkParagraph);
+  
+  appendText(container, 'p', textOf('#owner ytd-channel-name a, ytd-video-owner-renderer ytd-channel-name'));
+  
+  // 简介保留原有分行
+  const description = document.querySelector('#description-inline-expander yt-attributed-string, #description yt-formatted-string');
+  if (description) {
+    description.textContent.split(/\n{2,}/).forEach(paragraph => appendText(container, 'p', paragraph));
+  }
+  
+  const chapters = [];
+  const seen = new Set();
+  document.querySelectorAll('ytd-macro-markers-list-item-renderer').forEach(item => {
+    const time = textOf('#time', item);
+    const chapterTitle = textOf('h4', item);
+    if (time && chapterTitle && !seen.has(time)) {
+      seen.add(time);
+      chapters.push({ time, title: chapterTitle });
+    }
+  });
+  
+  if (chapters.length > 0) {
+    appendText(container, 'h2', chrome.i18n.getMessage('adapter_youtube_chapters'));
+    const list = document.createElement('ul');
+    chapters.forEach(chapter => {
+      const item = document.createElement('li');
+      const timeLink = document.createElement('a');
+      timeLink.href = `${videoUrl}&t=${parseTimestamp(chapter.time)}s`;
+      timeLink.textContent = chapter.time;
+      item.append(timeLink, ` ${chapter.title}`);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+  
+  const segments = document.querySelectorAll('ytd-transcript-segment-renderer');
+  if (segments.length > 0) {
+    appendText(container, 'h2', chrome.i18n.getMessage('adapter_youtube_transcript'));
+    segments.forEach(segment => {
+      const text = textOf('.segment-text', segment);
+      if (text) {
+        appendText(container, 'p', `[${textOf('.segment-timestamp', segment)}] ${text}`);
+      }
+    });
+  }
+  
+  return container;
+}
+
+/**
+ * Twitter/X 推文串：按页面顺序列出推文，附作者、时间和图片
+ * @returns {Element|null}
+ */
+function extractTweetThread() {
+  const tweets = document.querySelectorAll('article[data-testid="tweet"]');
+  if (tweets.length === 0) {
+    return null;
+  }
+  
+  const container = document.createElement('div');
+  
+  tweets.forEach((tweet, index) => {
+    if (index > 0) {
+      container.appendChild(document.createElement('hr'));
+    }
+    
+    const userName = tweet.querySelector('[data-testid="User-Name"]');
+    if (userName) {
+      const parts = Array.from(userName.querySelectorAll('span'), span => getInnerText(span)).filter(Boolean);
+      const handle = parts.find(part => part.startsWith('@')) || '';
+      const name = parts.find(part => !part.startsWith('@') && part !== '·') || '';
+      appendText(container, 'h3', handle ? `${name} (${handle})` : name);
+    }
+    
+    const time = tweet.querySelector('time[datetime]');
+    if (time) {
+      const paragraph = document.createElement('p');
+      const permalink = time.closest('a');
+      if (permalink) {
+        const link = document.createElement('a');
+        link.href = permalink.href;
+        link.textContent = time.getAttribute('datetime').slice(0, 10);
+        paragraph.appendChild(link);
+      } else {
+        paragraph.textContent = time.getAttribute('datetime').slice(0, 10);
+      }
+      container.appendChild(paragraph);
+    }
+    
+    const text = tweet.querySelector('[data-testid="tweetText"]');
+    if (text) {
+      const content = document.createElement('p');
+      content.append(...Array.from(text.childNodes, node => node.cloneNode(true)));
+      container.appendChild(content);
+    }
+    
+    tweet.querySelectorAll('[data-testid="tweetPhoto"] img').forEach(img => {
+      container.appendChild(img.cloneNode(true));
+    });
+  });
+  
+  return container;
+}
+
+/**
+ * 知乎：回答（问题、作者、赞同数）或专栏文章
+ * @returns {Element|null}
+ */
+function extractZhihuContent() {
+  const container = document.createElement('div');
+  
+  const article = document.querySelector('.Post-RichText');
+  if (article) {
+    appendText(container, 'h1', textOf('.Post-Title'));
+    appendText(container, 'p', textOf('.AuthorInfo-name'));
+    container.appendChild(resolveLazyImages(article.cloneNode(true), ['data-original', 'data-actualsrc']));
+    return container;
+  }
+  
+  // 回答页取当前回答，问题页取第一个回答
+  const answer = document.querySelector('.QuestionAnswer-content .AnswerItem, .AnswerItem');
+  const content = answer && answer.querySelector('.RichContent-inner .RichText, .RichText');
+  if (!content) {
+    return null;
+  }
+  
+  appendText(container, 'h1', textOf('.QuestionHeader-title'));
+  
+  const authorMeta = answer.querySelector('.AuthorInfo meta[itemprop="name"]');
+  const voteMeta = answer.querySelector('meta[itemprop="upvoteCount"]');
+  const author = firstValue(authorMeta && authorMeta.getAttribute('content'), textOf('.AuthorInfo-name', answer));
+  const votes = firstValue(voteMeta && voteMeta.getAttribute('content'), textOf('.VoteButton--up', answer));
+  const byline = [author, votes && chrome.i18n.getMessage('adapter_zhihu_votes', [votes.replace(/^\D+/, '')])]
+    .filter(Boolean)
+    .join(' · ');
+  appendText(container, 'p', byline);
+  
+  container.appendChild(resolveLazyImages(content.cloneNode(true), ['data-original', 'data-actualsrc']));
+  return container;
+}
+
+/**
+ * 微信公众号文章：标题、公众号/作者、发布时间和 #js_content 正文（解析懒加载图片）
+ * @returns {Element|null}
+ */
+function extractWeChatArticle() {
+  const content = document.querySelector('#js_content');
+  if (!content) {
+    return null;
+  }
+  
+  const container = document.createElement('div');
+  appendText(container, 'h1', textOf('#activity-name'));
+  appendText(container, 'p', [
+    textOf('#js_name'),
+    textOf('#js_author_name'),
+    textOf('#publish_time')
+  ].filter(Boolean).join(' · '));
+  
+  container.appendChild(resolveLazyImages(content.cloneNode(true), ['data-src']));
+  return container;
+}
+
+/**
+ * 用懒加载属性中的真实地址替换图片的占位地址
+ * @param {Element} element - 内容副本
+ * @param {string[]} attributes - 按优先级排列的懒加载属性名
+ * @returns {Element}
+ */
+function resolveLazyImages(element, attributes) {
+  element.querySelectorAll('img').forEach(img => {
+    const source = attributes.map(name => img.getAttribute(name)).find(Boolean);
+    if (source) {
+      img.setAttribute('src', source);
+    }
+  });
+  return element;
+}
+
+/**
+ * 读取第一个匹配元素的文本（合并空白）
+ * @param {string} selector - CSS选择器
+ * @param {ParentNode} root - 查询根节点，默认为整个文档
+ * @returns {string}
+ */
+function textOf(selector, root = document) {
+  const element = root.querySelector(selector);
+  return element ? getInnerText(element) : '';
+}
+
+/**
+ * 读取计数器的准确数值（GitHub 在 title 中保存未缩写的数字）
+ * @param {string} selector - CSS选择器
+ * @returns {string}
+ */
+function counterOf(selector) {
+  const element = document.querySelector(selector);
+  return element ? firstValue(element.getAttribute('title'), getInnerText(element)) : '';
+}
+
+/**
+ * 追加一个只含文本的子元素，文本为空时不追加
+ * @param {Element} parent
+ * @param {string} tagName
+ * @param {string} text
+ */
+function appendText(parent, tagName, text) {
+  if (!text || !text.trim()) {
+    return;
+  }
+  
+  const element = document.createElement(tagName);
+  element.textContent = text.trim();
+  parent.appendChild(element);
+}
+
+/**
+ * 将 1:02:03 形式的时间戳转换为秒数
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+}
+
+// ========== 元素选择器 ==========
+
+const PICKER_STORAGE_KEY = 'picker_selectors';
+const PICKER_Z_INDEX = 2147483647;
+const PICKER_HOVER_COLOR = 'rgba(102, 126, 234, 0.25)';
+const PICKER_SELECTED_COLOR = 'rgba(40, 167, 69, 0.25)';
+
+let pickedContent = null; // 选择器确认后的HTML，由下一次 extract-content 取走
+let picker = null;
+
+/**
+ * 启动元素选择器
+ * 悬停高亮元素，↑/↓ 扩大或缩小选区，点击选中/取消（可多选），Enter确认，Esc取消
+ * @param {string} source - 触发来源：'popup' 或 'context-menu'
+ */
+async function startPicker(source) {
+  if (picker) {
+    return;
+  }
+  
+  picker = {
+    source: source,
+    current: null,
+    narrowStack: [],
+    selected: [],
+    hoverBox: createPickerBox(PICKER_HOVER_COLOR, '#667eea'),
+    selectedBoxes: new Map(),
+    toolbar: createPickerToolbar()
+  };
+  
+  document.addEventListener('mouseover', onPickerMouseOver, true);
+  document.addEventListener('click', onPickerClick, true);
+  document.addEventListener('keydown', onPickerKeyDown, true);
+  window.addEventListener('scroll', updatePickerBoxes, true);
+  window.addEventListener('resize', updatePickerBoxes);
+  
+  // 预选该域名上次选择的元素作为建议
+  const suggestions = await loadPickerSelectors();
+  suggestions.forEach(selector => {
+    try {
+      const element = document.querySelector(selector);
+      if (element) {
+        togglePickedElement(element);
+      }
+    } catch (error) {
+      console.warn('无效的选择器', selector);
+    }
+  });
+  
+  updatePickerToolbar();
+}
+
+/**
+ * 结束元素选择器并清理页面上的辅助元素
+ */
+function stopPicker() {
+  if (!picker) {
+    return;
+  }
+  
+  document.removeEventListener('mouseover', onPickerMouseOver, true);
+  document.removeEventListener('click', onPickerClick, true);
+  document.removeEventListener('keydown', onPickerKeyDown, true);
+  window.removeEventListener('scroll', updatePickerBoxes, true);
+  window.removeEventListener('resize', updatePickerBoxes);
+  
+  picker.hoverBox.remove();
+  picker.selectedBoxes.forEach(box => box.remove());
+  picker.toolbar.remove();
+  picker = null;
+}
+
+/**
+ * 确认选择：合并选中块的清理后HTML，记住选择器
+ */
+async function confirmPicker() {
+  if (!picker) {
+    return;
+  }
+  
+  // 未点击选中任何元素时，以当前高亮的元素为准
+  if (picker.selected.length === 0 && picker.current) {
+    togglePickedElement(picker.current);
+  }
+  
+  if (picker.selected.length === 0) {
+    return;
+  }
+  
+  // 按文档顺序排列，并去掉已被其他选中元素包含的块
+  const elements = picker.selected
+    .filter(element => !picker.selected.some(other => other !== element && other.contains(element)))
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  
+  pickedContent = elements
+    .map(element => cleanElement(element.cloneNode(true)).outerHTML)
+    .join('\n');
+  
+  // 先结束选择器再保存选择器：保存期间重复确认或按Esc不会再次清理
+  const source = picker.source;
+  const selectors = elements.map(buildSelector);
+  stopPicker();
+  await savePickerSelectors(selectors);
+  
+  if (source === 'context-menu') {
+    chrome.runtime.sendMessage({ action: 'picker-completed' });
+  } else {
+    showPickerToast(chrome.i18n.getMessage('picker_toast_picked', [String(elements.length)]));
+  }
+}
+
+function onPickerMouseOver(event) {
+  const target = event.target;
+  if (isPickerElement(target) || target === document.documentElement || target === document.body) {
+    return;
+  }
+  
+  picker.current = target;
+  picker.narrowStack = [];
+  updatePickerBoxes();
+}
+
+function onPickerClick(event) {
+  if (isPickerElement(event.target)) {
+    return;
+  }
+  
+  // 阻止页面上的链接跳转和按钮行为
+  event.preventDefault();
+  event.stopPropagation();
+  
+  if (picker.current) {
+    togglePickedElement(picker.current);
+    updatePickerToolbar();
+  }
+}
+
+function onPickerKeyDown(event) {
+  const current = picker.current;
+  
+  if (event.key === 'Escape') {
+    stopPicker();
+  } else if (event.key === 'Enter') {
+    confirmPicker();
+  } else if (event.key === 'ArrowUp' && current) {
+    // 扩大到父元素，并记录路径以便缩小时原路返回
+    const parent = current.parentElement;
+    if (parent && parent !== document.body && parent !== document.documentElement) {
+      picker.narrowStack.push(current);
+      picker.current = parent;
+    }
+  } else if (event.key === 'ArrowDown' && current) {
+    picker.current = picker.narrowStack.pop() || current.firstElementChild || current;
+  } else {
+    return;
+  }
+  
+  event.preventDefault();
+  event.stopPropagation();
+  
+  if (picker) {
+    updatePickerBoxes();
+  }
+}
+
+/**
+ * 选中或取消选中元素
+ * @param {Element} element
+ */
+function togglePickedElement(element) {
+  const index = picker.selected.indexOf(element);
+  
+  if (index === -1) {
+    picker.selected.push(element);
+    const box = createPickerBox(PICKER_SELECTED_COLOR, '#28a745');
+    picker.selectedBoxes.set(element, box);
+  } else {
+    picker.selected.splice(index, 1);
+    picker.selectedBoxes.get(element).remove();
+    picker.selectedBoxes.delete(element);
+  }
+  
+  updatePickerBoxes();
+}
+
+/**
+ * 判断元素是否属于选择器自身的界面
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isPickerElement(element) {
+  return Boolean(element.closest && element.closest('[data-blinko-picker]'));
+}
+
+/**
+ * 创建高亮框
+ * @param {string} background - 背景色
+ * @param {string} border - 边框色
+ * @returns {HTMLElement}
+ */
+function createPickerBox(background, border) {
+  const box = document.createElement('div');
+  box.setAttribute('data-blinko-picker', '');
+  box.style.cssText = `position: fixed; pointer-events: none; z-index: ${PICKER_Z_INDEX}; ` +
+    `background: ${background}; outline: 2px solid ${border}; display: none; transition: all 0.05s;`;
+  document.documentElement.appendChild(box);
+  return box;
+}
+
+/**
+ * 将高亮框覆盖到元素上
+ * @param {HTMLElement} box
+ * @param {Element|null} element
+ */
+function positionPickerBox(box, element) {
+  if (!element) {
+    box.style.display = 'none';
+    return;
+  }
+  
+  const rect = element.getBoundingClientRect();
+  Object.assign(box.style, {
+    display: 'block',
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+}
+
+function updatePickerBoxes() {
+  positionPickerBox(picker.hoverBox, picker.current);
+  picker.selectedBoxes.forEach((box, element) => positionPickerBox(box, element));
+}
+
+/**
+ * 创建顶部操作提示条
+ * @returns {HTMLElement}
+ */
+function createPickerToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.setAttribute('data-blinko-picker', '');
+  toolbar.style.cssText = `position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: ${PICKER_Z_INDEX}; ` +
+    'display: flex; align-items: center; gap: 10px; padding: 8px 14px; border-radius: 8px; ' +
+    'background: #333; color: #fff; font: 13px/1.4 -apple-system, BlinkMacSystemFont, sans-serif; ' +
+    'box-shadow: 0 4px 12px rgba(0,0,0,0.3);';
+  
+  const hint = document.createElement('span');
+  hint.className = 'blinko-picker-hint';
+  
+  const confirmButton = createPickerButton(chrome.i18n.getMessage('picker_btn_confirm'), '#28a745', confirmPicker);
+  const cancelButton = createPickerButton(chrome.i18n.getMessage('picker_btn_cancel'), '#6c757d', stopPicker);
+  
+  toolbar.append(hint, confirmButton, cancelButton);
+  document.documentElement.appendChild(toolbar);
+  return toolbar;
+}
+
+function createPickerButton(label, color, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.cssText = `border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; color: #fff; background: ${color}; font: inherit;`;
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+function updatePickerToolbar() {
+  if (!picker) {
+    return;
+  }
+  
+  picker.toolbar.querySelector('.blinko-picker-hint').textContent =
+    chrome.i18n.getMessage('picker_hint', [String(picker.selected.length)]);
+}
+
+/**
+ * 在页面上短暂显示提示
+ * @param {string} message
+ */
+function showPickerToast(message) {
+  const toast = document.createElement('div');
+  toast.setAttribute('data-blinko-picker', '');
+  toast.textContent = message;
+  toast.style.cssText = `position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: ${PICKER_Z_INDEX}; ` +
+    'padding: 8px 14px; border-radius: 8px; background: #28a745; color: #fff; ' +
+    'font: 13px/1.4 -apple-system, BlinkMacSystemFont, sans-serif; box-shadow: 0 4px 12px rgba(0,0,0,0.3);';
+  document.documentElement.appendChild(toast);
+  setTimeout(() => toast.remove(), 4000);
+}
+
+/**
+ * 为元素生成CSS选择器
+ * 优先使用唯一ID，否则以标签和 :nth-of-type 逐级定位到最近的带ID祖先或body
+ * @param {Element} element
+ * @returns {string}
+ */
+function buildSelector(element) {
+  const parts = [];
+  
+  for (let node = element; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+    if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      return parts.join(' > ');
+    }
+    
+    const tag = node.tagName.toLowerCase();
+    const sameTagSiblings = Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName);
+    parts.unshift(sameTagSiblings.length > 1 ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(node) + 1})` : tag);
+  }
+  
+  return ['body', ...parts].join(' > ');
+}
+
+/**
+ * 读取当前域名上次选择的选择器
+ * @returns {Promise<Array<string>>}
+ */
+async function loadPickerSelectors() {
+  const result = await chrome.storage.local.get(PICKER_STORAGE_KEY);
+  const selectors = result[PICKER_STORAGE_KEY] || {};
+  return selectors[location.hostname] || [];
+}
+
+/**
+ * 记住当前域名本次选择的选择器
+ * @param {Array<string>} selectors
+ */
+async function savePickerSelectors(selectors) {
+  const result = await chrome.storage.local.get(PICKER_STORAGE_KEY);
+  const saved = result[PICKER_STORAGE_KEY] || {};
+  saved[location.hostname] = selectors;
+  await chrome.storage.local.set({ [PICKER_STORAGE_KEY]: saved });
+}
+
+// ========== 截图 ==========
+
+const REGION_MIN_SIZE = 8;
+const CAPTURE_RENDER_DELAY = 150;
+
+let captureState = null; // 整页截图期间的滚动位置和被隐藏的固定元素
+
+/**
+ * 开始整页截图：记录滚动位置并返回页面尺寸
+ * @returns {{success: boolean, scrollHeight: number, viewportWidth: number, viewportHeight: number}}
+ */
+function prepareFullPageCapture() {
+  finishFullPageCapture();
+  
+  const root = document.documentElement;
+  captureState = {
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    scrollBehavior: root.style.scrollBehavior,
+    hidden: []
+  };
+  
+  // 平滑滚动会让 scrollTo 异步完成，截图期间关闭
+  root.style.scrollBehavior = 'auto';
+  
+  return {
+    success: true,
+    scrollHeight: Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0),
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight
+  };
+}
+
+/**
+ * 滚动到指定位置并等待页面重绘
+ * @param {number} y - 目标滚动位置
+ * @param {boolean} hideFixed - 是否隐藏固定/粘性定位的元素（首屏之后隐藏，避免吸顶导航在每屏重复出现）
+ * @returns {Promise<{success: boolean, scrollY: number}>} 实际滚动到的位置
+ */
+async function scrollForCapture(y, hideFixed) {
+  if (hideFixed && captureState && captureState.hidden.length === 0) {
+    hideFixedElements();
+  }
+  
+  window.scrollTo(0, y);
+  await waitForRepaint();
+  return { success: true, scrollY: window.scrollY };
+}
+
+/**
+ * 结束整页截图：恢复被隐藏的元素和滚动位置
+ */
+function finishFullPageCapture() {
+  if (!captureState) {
+    return;
+  }
+  
+  captureState.hidden.forEach(({ element, visibility, priority }) => {
+    element.style.setProperty('visibility', visibility, priority);
+  });
+  document.documentElement.style.scrollBehavior = captureState.scrollBehavior;
+  window.scrollTo(captureState.scrollX, captureState.scrollY);
+  captureState = null;
+}
+
+/**
+ * 隐藏固定和粘性定位的元素（保留占位，不影响布局）
+ */
+function hideFixedElements() {
+  document.querySelectorAll('body *').forEach(element => {
+    const position = getComputedStyle(element).position;
+    if (position !== 'fixed' && position !== 'sticky') {
+      return;
+    }
+    
+    captureState.hidden.push({
+      element: element,
+      visibility: element.style.getPropertyValue('visibility'),
+      priority: element.style.getPropertyPriority('visibility')
+    });
+    element.style.setProperty('visibility', 'hidden', 'important');
+  });
+}
+
+/**
+ * 等待两帧绘制，并留出懒加载内容的渲染时间
+ * @returns {Promise}
+ */
+function waitForRepaint() {
+  return new Promise(resolve => {
+    requestAnimationFrame(() => requestAnimationFrame(() => setTimeout(resolve, CAPTURE_RENDER_DELAY)));
+  });
+}
+
+/**
+ * 显示拖动框选遮罩，等待用户选择截图区域
+ * 遮罩移除并重绘后才返回，保证截图中不包含遮罩
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>} 视口坐标（CSS像素），按Esc取消时返回null
+ */
+function selectRegion() {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.setAttribute('data-blinko-picker', '');
+    overlay.style.cssText = `position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; z-index: ${PICKER_Z_INDEX}; ` +
+      'cursor: crosshair; background: rgba(0, 0, 0, 0.3); user-select: none;';
+    
+    const box = document.createElement('div');
+    box.style.cssText = 'position: fixed; display: none; pointer-events: none; outline: 2px dashed #667eea; ' +
+      'background: rgba(255, 255, 255, 0.2); box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.2);';
+    
+    const hint = document.createElement('div');
+    hint.textContent = chrome.i18n.getMessage('region_select_hint');
+    hint.style.cssText = 'position: fixed; top: 12px; left: 50%; transform: translateX(-50%); pointer-events: none; ' +
+      'padding: 8px 14px; border-radius: 8px; background: #333; color: #fff; ' +
+      'font: 13px/1.4 -apple-system, BlinkMacSystemFont, sans-serif; box-shadow: 0 4px 12px rgba(0,0,0,0.3);';
+    
+    overlay.append(box, hint);
+    document.documentElement.appendChild(overlay);
+    
+    let start = null;
+    
+    const getRect = (event) => ({
+      x: Math.min(start.x, event.clientX),
+      y: Math.min(start.y, event.clientY),
+      width: Math.abs(event.clientX - start.x),
+      height: Math.abs(event.clientY - start.y)
+    });
+    
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        finish(null);
+      }
+    };
+    
+    const finish = (rect) => {
+      overlay.remove();
+      document.removeEventListener('keydown', onKeyDown, true);
+      waitForRepaint().then(() => resolve(rect));
+    };
+    
+    overlay.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      start = { x: event.clientX, y: event.clientY };
+      hint.style.display = 'none';
+    });
+    
+    overlay.addEventListener('mousemove', (event) => {
+      if (!start) {
+        return;
+      }
+      
+      const rect = getRect(event);
+      Object.assign(box.style, {
+        display: 'block',
+        top: `${rect.y}px`,
+        left: `${rect.x}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    });
+    
+    overlay.addEventListener('mouseup', (event) => {
+      if (!start) {
+        return;
+      }
+      
+      const rect = getRect(event);
+      start = null;
+      
+      // 误触产生的过小区域忽略，允许重新拖动
+      if (rect.width < REGION_MIN_SIZE || rect.height < REGION_MIN_SIZE) {
+        box.style.display = 'none';
+        hint.style.display = '';
+        return;
+      }
+      
+      finish(rect);
+    });
+    
+    document.addEventListener('keydown', onKeyDown, true);
+  });
+}
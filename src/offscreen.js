@@ -0,0 +1,25 @@
+/**
+ * Offscreen文档脚本
+ * 为Service Worker提供需要DOM的处理能力
+ */
+
+import { htmlToMarkdown } from './utils/html-to-markdown.js';
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // 只处理发给offscreen文档的消息，其他广播（如队列变化）交给各自的页面
+  if (request.target !== 'offscreen') {
+    return false;
+  }
+
+  if (request.action === 'html-to-markdown') {
+    try {
+      const result = htmlToMarkdown(request.html, request.includeImages);
+      sendResponse({ success: true, result });
+    } catch (error) {
+      console.error('[offscreen] HTML to Markdown failed:', error);
+      sendResponse({ success: false, message: error.message });
+    }
+  }
+
+  return false;
+});
@@ -4,10 +4,13 @@
 
 import { getConfig } from './utils/storage.js';
 import { htmlToMarkdown } from './utils/html-to-markdown.js';
-import { createNote, summarizeContent } from './utils/api-client.js';
+import { createNote, summarizeContent, enqueueSummarizeJob } from './utils/api-client.js';
 import { processImages, replaceImageUrls } from './utils/s3-uploader.js';
-import { matchTemplate, replaceVariables, matchDomainTags } from './utils/template-matcher.js';
+import { formatBytes } from './utils/storage-quota.js';
+import { matchTemplate, matchExtractionRule, replaceVariables, matchDomainTags } from './utils/template-matcher.js';
+import { formatSourceLine, getTemplateVariables } from './utils/page-metadata.js';
 import { t, initI18nSystem, initI18n } from './utils/i18n.js';
+import { getQueue, onQueueChange, QUEUE_CHANGED_ACTION } from './utils/offline-queue.js';
 import { saveDraft, loadDraft, clearDraft, saveNamedDraft, listDrafts, deleteDraft, getDraftSettings } from './utils/draft-manager.js';
 
 // 异步初始化国际化
@@ -61,6 +64,13 @@ const clippingStatus = document.getElementById('clipping-status');
 let currentPageUrl = '';
 let currentPageTitle = '';
 
+// 正文识别可信度低于该值时提示改用整页
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+const extractionHint = document.getElementById('extraction-hint');
+const extractionHintText = document.getElementById('extraction-hint-text');
+let extractionMode = 'auto';
+let lastExtractButton = null;
+
 // 获取当前页面信息
 async function getCurrentPageInfo() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -72,6 +82,81 @@ async function getCurrentPageInfo() {
   return null;
 }
 
+// 向content script请求页面内容（附带当前域名的提取规则），并根据正文识别可信度显示提示
+async function requestPageContent(pageInfo) {
+  const mode = extractionMode;
+  extractionMode = 'auto';
+  
+  const extractionRules = await getConfig('extraction_rules', []);
+  const response = await chrome.tabs.sendMessage(pageInfo.tabId, {
+    action: 'extract-content',
+    mode: mode,
+    rule: matchExtractionRule(pageInfo.url, extractionRules)
+  });
+  
+  // 提取规则指定了标题选择器时，以页面中的标题替代标签页标题
+  if (response?.title) {
+    pageInfo.title = response.title;
+  }
+  pageInfo.metadata = response?.metadata || {};
+  
+  const lowConfidence = mode === 'auto' && response?.html && !response.picked && response.confidence < LOW_CONFIDENCE_THRESHOLD;
+  if (lowConfidence) {
+    extractionHintText.textContent = t('popup_clipping_lowConfidence', String(Math.round(response.confidence * 100)));
+  }
+  extractionHint.style.display = lowConfidence ? 'flex' : 'none';
+  
+  return response;
+}
+
+// 改用整页内容重新提取
+document.getElementById('use-full-page-btn').addEventListener('click', () => {
+  extractionMode = 'full-page';
+  extractionHint.style.display = 'none';
+  (lastExtractButton || extractContentBtn).click();
+});
+
+// 在网页中手动选择要剪藏的区域；选择完成后再次打开弹窗即可继续
+document.querySelectorAll('.pick-element-btn').forEach(button => {
+  button.addEventListener('click', async () => {
+    try {
+      const pageInfo = await getCurrentPageInfo();
+      await chrome.tabs.sendMessage(pageInfo.tabId, { action: 'start-picker', source: 'popup' });
+      window.close();
+    } catch (error) {
+      console.error('启动元素选择失败', error);
+      showStatus(clippingStatus, 'error', t('status_error_pickerFailed'));
+    }
+  });
+});
+
+// 截图并保存为笔记；截取和上传由后台完成，弹窗需先关闭以免遮挡框选
+document.querySelectorAll('.screenshot-btn').forEach(button => {
+  button.addEventListener('click', async () => {
+    try {
+      const pageInfo = await getCurrentPageInfo();
+      await chrome.runtime.sendMessage({ action: 'capture-screenshot', mode: button.dataset.mode, tabId: pageInfo.tabId });
+      window.close();
+    } catch (error) {
+      console.error('启动截图失败', error);
+      showStatus(clippingStatus, 'error', t('status_error_screenshotFailed'));
+    }
+  });
+});
+
+// 弹窗打开时，如果已在网页中选好区域，直接提取
+(async () => {
+  try {
+    const pageInfo = await getCurrentPageInfo();
+    const response = await chrome.tabs.sendMessage(pageInfo.tabId, { action: 'has-picked-content' });
+    if (response?.picked) {
+      extractContentBtn.click();
+    }
+  } catch (error) {
+    // 特殊页面（如chrome://）没有content script，忽略
+  }
+})();
+
 // 提取网页正文
 extractContentBtn.addEventListener('click', async () => {
   try {
@@ -106,9 +191,8 @@ extractContentBtn.addEventListener('click', async () => {
     showLoading(t('status_loading_extracting'));
     
     // 向content script发送消息提取HTML
-    const response = await chrome.tabs.sendMessage(pageInfo.tabId, {
-      action: 'extract-content'
-    });
+    lastExtractButton = extractContentBtn;
+    const response = await requestPageContent(pageInfo);
     
     if (!response || !response.html) {
       throw new Error(t('status_error_noPageInfo'));
@@ -131,8 +215,10 @@ extractContentBtn.addEventListener('click', async () => {
         bucket: s3Config.bucket,
         cdn: s3Config.cdn
       }));
-      const urlMap = await processImages(images, s3Config, (current, total) => {
-        showLoading(t('status_loading_processingImages', current.toString(), total.toString()));
+      const urlMap = await processImages(images, s3Config, (current, total, savedBytes) => {
+        showLoading(savedBytes > 0
+          ? t('status_loading_processingImagesSaved', current.toString(), total.toString(), formatBytes(savedBytes))
+          : t('status_loading_processingImages', current.toString(), total.toString()));
       });
       
       finalMarkdown = replaceImageUrls(markdown, urlMap);
@@ -141,7 +227,7 @@ extractContentBtn.addEventListener('click', async () => {
     // 添加网页链接（如果配置了）
     const includeLink = await getConfig('include_link_summary', true);
     if (includeLink) {
-      finalMarkdown += `\n\n来源：[${pageInfo.title}](${pageInfo.url})`;
+      finalMarkdown += `\n\n${formatSourceLine(pageInfo.title, pageInfo.url, pageInfo.metadata)}`;
     }
     
     // 添加场景标签
@@ -203,9 +289,8 @@ extractAndSummarizeBtn.addEventListener('click', async () => {
     showLoading(t('status_loading_extracting'));
     
     // 提取HTML
-    const response = await chrome.tabs.sendMessage(pageInfo.tabId, {
-      action: 'extract-content'
-    });
+    lastExtractButton = extractAndSummarizeBtn;
+    const response = await requestPageContent(pageInfo);
     
     if (!response || !response.html) {
       throw new Error(t('status_error_noPageInfo'));
@@ -232,7 +317,11 @@ extractAndSummarizeBtn.addEventListener('click', async () => {
     const defaultTemplate = await getConfig('default_template', '');
     
     const template = matchTemplate(pageInfo.url, templates, domainRules, defaultTemplate);
-    const { systemPrompt, userPrompt } = replaceVariables(template.content, markdown);
+    const { systemPrompt, userPrompt } = replaceVariables(
+      template.content,
+      markdown,
+      getTemplateVariables(pageInfo.title, pageInfo.url, pageInfo.metadata)
+    );
     
     // 调用AI总结
     const result = await summarizeContent(
@@ -243,33 +332,33 @@ extractAndSummarizeBtn.addEventListener('click', async () => {
       userPrompt
     );
     
+    const footer = await buildSummaryFooter(pageInfo);
+    
     if (!result.success) {
+      // AI服务暂不可用时保存提取结果，稍后由后台总结并提交
+      if (result.retryable) {
+        const typeElement = document.querySelector('input[name="clipping-type"]:checked');
+        const queueResult = await enqueueSummarizeJob({
+          markdown,
+          templateId: template.id,
+          type: typeElement ? parseInt(typeElement.value) : 0,
+          url: pageInfo.url,
+          title: pageInfo.title,
+          pageMetadata: pageInfo.metadata,
+          footer,
+          source: 'popup-summarize'
+        }, result.message);
+        
+        if (queueResult.success) {
+          hideLoading();
+          showStatus(clippingStatus, 'info', t('status_info_summarizeQueued'));
+          return;
+        }
+      }
       throw new Error(result.message);
     }
     
-    let summary = result.summary;
-    
-    // 添加网页链接（如果配置了）
-    const includeLink = await getConfig('include_link_summary', true);
-    if (includeLink) {
-      summary += `\n\n来源：[${pageInfo.title}](${pageInfo.url})`;
-    }
-    
-    // 添加场景标签
-    const tag = await getConfig('tag_summary', '#网页/总结');
-    if (tag) {
-      summary += `\n\n${tag}`;
-    }
-    
-    // 添加域名标签
-    const domainTagRules = await getConfig('domain_tag_rules', []);
-    const strategy = await getConfig('domain_tag_match_strategy', 'first');
-    const domainTags = matchDomainTags(pageInfo.url, domainTagRules, strategy);
-    if (domainTags) {
-      summary += ` ${domainTags}`;
-    }
-    
-    previewContent.value = summary;
+    previewContent.value = result.summary + footer;
     hideLoading();
     showStatus(clippingStatus, 'success', t('status_success_summarized'));
     
@@ -280,6 +369,33 @@ extractAndSummarizeBtn.addEventListener('click', async () => {
   }
 });
 
+// 生成总结笔记的尾部（来源链接、场景标签、域名标签）
+async function buildSummaryFooter(pageInfo) {
+  let footer = '';
+  
+  // 添加网页链接（如果配置了）
+  const includeLink = await getConfig('include_link_summary', true);
+  if (includeLink) {
+    footer += `\n\n${formatSourceLine(pageInfo.title, pageInfo.url, pageInfo.metadata)}`;
+  }
+  
+  // 添加场景标签
+  const tag = await getConfig('tag_summary', '#网页/总结');
+  if (tag) {
+    footer += `\n\n${tag}`;
+  }
+  
+  // 添加域名标签
+  const domainTagRules = await getConfig('domain_tag_rules', []);
+  const strategy = await getConfig('domain_tag_match_strategy', 'first');
+  const domainTags = matchDomainTags(pageInfo.url, domainTagRules, strategy);
+  if (domainTags) {
+    footer += ` ${domainTags}`;
+  }
+  
+  return footer;
+}
+
 // 清空预览
 clearPreviewBtn.addEventListener('click', () => {
   previewContent.value = '';
@@ -620,6 +736,41 @@ submitQuickNoteBtn.addEventListener('click', async () => {
   }
 });
 
+// ========== 离线队列提示 ==========
+const queueBanner = document.getElementById('queue-banner');
+const queueBannerText = document.getElementById('queue-banner-text');
+
+// 有未完成的队列项时显示提示
+async function refreshQueueBanner() {
+  const queue = await getQueue('all');
+  const active = queue.filter(item => item.status !== 'success');
+  const failedCount = active.filter(item => item.status === 'failed').length;
+  
+  if (active.length === 0) {
+    queueBanner.style.display = 'none';
+    return;
+  }
+  
+  queueBannerText.textContent = failedCount > 0
+    ? t('popup_queue_bannerFailed', String(active.length), String(failedCount))
+    : t('popup_queue_bannerPending', String(active.length));
+  queueBanner.classList.toggle('has-failed', failedCount > 0);
+  queueBanner.style.display = 'flex';
+}
+
+document.getElementById('open-queue-btn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('src/settings.html#queue') });
+});
+
+onQueueChange(() => refreshQueueBanner());
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === QUEUE_CHANGED_ACTION) {
+    refreshQueueBanner();
+  }
+});
+
+refreshQueueBanner();
+
 // ========== 辅助函数 ==========
 async function getBlinkoConfig() {
   return {
@@ -646,7 +797,15 @@ async function getS3Config() {
     cdn: await getConfig('s3_cdn', ''),
     customPath: await getConfig('s3_custom_path', ''),
     acl: await getConfig('s3_acl', 'public'),
-    presignedExpiry: await getConfig('s3_presigned_expiry', 3650)
+    presignedExpiry: await getConfig('s3_presigned_expiry', 3650),
+    optimization: {
+      enabled: await getConfig('image_optimize_enabled', true),
+      format: await getConfig('image_optimize_format', 'original'),
+      quality: await getConfig('image_optimize_quality', 85) / 100,
+      maxWidth: await getConfig('image_max_width', 2560),
+      maxHeight: await getConfig('image_max_height', 0),
+      maxBytes: await getConfig('image_max_size_kb', 1024) * 1024
+    }
   };
 }
 
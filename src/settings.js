@@ -7,6 +7,7 @@ import { validateBlinkoConnection, validateOpenAI, optimizeTemplate } from './ut
 import { validateS3Config } from './utils/s3-uploader.js';
 import { validateTemplate, validateDomainRule } from './utils/template-matcher.js';
 import { t, initI18nSystem, initI18n, setUserLocale, getUserLocale, reloadPage } from './utils/i18n.js';
+import { getQueue, updateItem, dequeue, exportQueue, getQueueSettings, saveQueueSettings, QUEUE_CHANGED_ACTION } from './utils/offline-queue.js';
 
 // 异步初始化国际化
 (async () => {
@@ -36,6 +37,12 @@ function switchTab(tabName) {
   document.getElementById(`${tabName}-tab`).classList.add('active');
 }
 
+// 支持通过URL hash直接打开指定Tab（如 settings.html#queue）
+const initialTab = location.hash.slice(1);
+if (initialTab && document.getElementById(`${initialTab}-tab`)) {
+  switchTab(initialTab);
+}
+
 // ========== Tab 1: Blinko配置 ==========
 const blinkoApiUrl = document.getElementById('blinko-api-url');
 const blinkoAuth = document.getElementById('blinko-auth');
@@ -499,6 +506,12 @@ const s3CustomPath = document.getElementById('s3-custom-path');
 const s3Acl = document.getElementById('s3-acl');
 const s3PresignedExpiry = document.getElementById('s3-presigned-expiry');
 const s3PresignedExpiryGroup = document.getElementById('s3-presigned-expiry-group');
+const imageOptimizeEnabled = document.getElementById('image-optimize-enabled');
+const imageOptimizeFormat = document.getElementById('image-optimize-format');
+const imageOptimizeQuality = document.getElementById('image-optimize-quality');
+const imageMaxWidth = document.getElementById('image-max-width');
+const imageMaxHeight = document.getElementById('image-max-height');
+const imageMaxSize = document.getElementById('image-max-size');
 const validateS3Btn = document.getElementById('validate-s3');
 const storageStatus = document.getElementById('storage-status');
 
@@ -520,6 +533,14 @@ async function loadStorageConfig() {
   s3Acl.value = aclValue;
   s3PresignedExpiry.value = expiryValue;
   togglePresignedExpiryGroup(aclValue);
+  
+  // 图片优化配置
+  imageOptimizeEnabled.checked = await getConfig('image_optimize_enabled', true);
+  imageOptimizeFormat.value = await getConfig('image_optimize_format', 'original');
+  imageOptimizeQuality.value = await getConfig('image_optimize_quality', 85);
+  imageMaxWidth.value = await getConfig('image_max_width', 2560);
+  imageMaxHeight.value = await getConfig('image_max_height', 0);
+  imageMaxSize.value = await getConfig('image_max_size_kb', 1024);
 }
 
 keepOriginalLink.addEventListener('change', async () => {
@@ -553,6 +574,27 @@ s3PresignedExpiry.addEventListener('change', () =>
   saveConfig('s3_presigned_expiry', parseInt(s3PresignedExpiry.value))
 );
 
+imageOptimizeEnabled.addEventListener('change', () => saveConfig('image_optimize_enabled', imageOptimizeEnabled.checked));
+imageOptimizeFormat.addEventListener('change', () => saveConfig('image_optimize_format', imageOptimizeFormat.value));
+imageOptimizeQuality.addEventListener('change', () => {
+  const quality = Math.min(100, Math.max(1, parseInt(imageOptimizeQuality.value) || 85));
+  imageOptimizeQuality.value = quality;
+  saveConfig('image_optimize_quality', quality);
+});
+
+// 尺寸和体积上限：空值或负数按0（不限制）保存
+[
+  [imageMaxWidth, 'image_max_width'],
+  [imageMaxHeight, 'image_max_height'],
+  [imageMaxSize, 'image_max_size_kb']
+].forEach(([input, key]) => {
+  input.addEventListener('change', () => {
+    const value = Math.max(0, parseInt(input.value) || 0);
+    input.value = value;
+    saveConfig(key, value);
+  });
+});
+
 validateS3Btn.addEventListener('click', async () => {
   showStatus(storageStatus, 'info', t('settings_storage_loading_validating'));
   
@@ -573,7 +615,310 @@ validateS3Btn.addEventListener('click', async () => {
   }
 });
 
-// ========== Tab 6: 通用设置 ==========
+// ========== Tab 6: 离线队列 ==========
+const queueAutoRetry = document.getElementById('queue-auto-retry');
+const queueMaxSize = document.getElementById('queue-max-size');
+const queueRetryStrategy = document.getElementById('queue-retry-strategy');
+const queueFailureNotification = document.getElementById('queue-failure-notification');
+const queueSuccessRetention = document.getElementById('queue-success-retention');
+const queueFilters = document.getElementById('queue-filters');
+const queueSelectAll = document.getElementById('queue-select-all');
+const queueRetrySelectedBtn = document.getElementById('queue-retry-selected');
+const queueDeleteSelectedBtn = document.getElementById('queue-delete-selected');
+const queueExportBtn = document.getElementById('queue-export');
+const queueRefreshBtn = document.getElementById('queue-refresh');
+const queueList = document.getElementById('queue-list');
+const queueStatus = document.getElementById('queue-status');
+
+let queueStatusFilter = 'all';
+let selectedQueueIds = new Set();
+let queueRefreshTimer = null;
+
+async function loadQueueSettings() {
+  const settings = await getQueueSettings();
+  queueAutoRetry.checked = settings.autoRetry !== false;
+  queueMaxSize.value = settings.maxSize || 100;
+  queueRetryStrategy.value = settings.retryStrategy || 'standard';
+  queueFailureNotification.value = settings.failureNotification;
+  queueSuccessRetention.value = String(settings.successRetention);
+  await refreshQueueList();
+}
+
+/**
+ * 合并并保存队列设置
+ * @param {Object} updates - 需要更新的设置项
+ */
+async function updateQueueSettings(updates) {
+  const settings = await getQueueSettings();
+  const success = await saveQueueSettings({ ...settings, ...updates });
+  if (success) {
+    showStatus(queueStatus, 'success', t('status_success_settingsSaved'));
+  } else {
+    showStatus(queueStatus, 'error', t('settings_queue_error_saveSettings'));
+  }
+}
+
+queueAutoRetry.addEventListener('change', () => 
+  updateQueueSettings({ autoRetry: queueAutoRetry.checked })
+);
+queueMaxSize.addEventListener('change', () => {
+  const maxSize = Math.min(Math.max(parseInt(queueMaxSize.value) || 100, 10), 1000);
+  queueMaxSize.value = maxSize;
+  updateQueueSettings({ maxSize });
+});
+queueRetryStrategy.addEventListener('change', () => 
+  updateQueueSettings({ retryStrategy: queueRetryStrategy.value })
+);
+queueFailureNotification.addEventListener('change', () => 
+  updateQueueSettings({ failureNotification: queueFailureNotification.value })
+);
+queueSuccessRetention.addEventListener('change', () => 
+  updateQueueSettings({ successRetention: parseInt(queueSuccessRetention.value) })
+);
+
+// 状态过滤
+queueFilters.querySelectorAll('.queue-filter').forEach(button => {
+  button.addEventListener('click', async () => {
+    queueFilters.querySelectorAll('.queue-filter').forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+    queueStatusFilter = button.dataset.status;
+    selectedQueueIds.clear();
+    await refreshQueueList();
+  });
+});
+
+// 刷新队列列表（保留展开的编辑框及未保存的修改）
+async function refreshQueueList() {
+  const drafts = new Map();
+  queueList.querySelectorAll('.queue-item-editor[open]').forEach(editor => {
+    const id = Number(editor.closest('.queue-item').dataset.id);
+    drafts.set(id, editor.querySelector('textarea').value);
+  });
+  
+  const allItems = await getQueue('all');
+  updateQueueCounts(allItems);
+  
+  const items = queueStatusFilter === 'all'
+    ? allItems
+    : allItems.filter(item => item.status === queueStatusFilter);
+  
+  // 移除已不存在或正在后台处理的选中项
+  const selectableIds = new Set(items.filter(item => item.status !== 'retrying').map(item => item.id));
+  selectedQueueIds = new Set([...selectedQueueIds].filter(id => selectableIds.has(id)));
+  queueSelectAll.checked = selectableIds.size > 0 && selectedQueueIds.size === selectableIds.size;
+  
+  if (items.length === 0) {
+    queueList.innerHTML = `<div class="empty-list">${t('settings_queue_emptyList')}</div>`;
+    return;
+  }
+  
+  // 'retrying' 的项由后台持有租约处理中，此时的修改会被处理结果覆盖，禁用编辑、重试和删除
+  queueList.innerHTML = items.map(item => {
+    const busy = item.status === 'retrying' ? 'disabled' : '';
+    return `
+    <div class="queue-item" data-id="${item.id}">
+      <div class="queue-item-header">
+        <input type="checkbox" class="queue-item-select" ${selectedQueueIds.has(item.id) ? 'checked' : ''} ${busy}>
+        <span class="queue-badge ${item.status}">${t(`settings_queue_status_${item.status}`)}</span>
+        <span class="queue-item-title">${escapeHtml(item.title || item.url || t('settings_queue_untitled'))}</span>
+        <span class="queue-item-time">${new Date(item.createdAt).toLocaleString()}</span>
+      </div>
+      <div class="queue-item-meta">
+        <span>${t('settings_queue_retryCount', String(item.retryCount || 0))}</span>
+        ${item.jobType === 'summarize' ? `<span>${t('settings_queue_summarizeJob')}</span>` : ''}
+        ${item.attachments?.length ? `<span>${t('settings_queue_attachments', String(item.attachments.length))}</span>` : ''}
+        ${item.lastError ? `<span class="queue-item-error">${escapeHtml(item.lastError)}</span>` : ''}
+        ${busy ? `<span>${t('settings_queue_itemBusy')}</span>` : ''}
+      </div>
+      <details class="queue-item-editor" ${drafts.has(item.id) ? 'open' : ''}>
+        <summary>${escapeHtml(item.content.substring(0, 120))}${item.content.length > 120 ? '...' : ''}</summary>
+        <textarea rows="8" ${busy}>${escapeHtml(drafts.get(item.id) ?? item.content)}</textarea>
+        <div class="queue-item-actions">
+          <button class="btn btn-secondary queue-save-btn" ${busy}>${t('common_btn_save')}</button>
+        </div>
+      </details>
+      <div class="queue-item-actions">
+        <button class="btn btn-primary queue-retry-btn" ${busy}>${t('settings_queue_btnRetry')}</button>
+        <button class="btn btn-danger queue-delete-btn" ${busy}>${t('common_btn_delete')}</button>
+      </div>
+    </div>
+  `;
+  }).join('');
+  
+  queueList.querySelectorAll('.queue-item').forEach(element => {
+    // IndexedDB使用自增数字ID，降级模式使用浮点ID
+    const id = Number(element.dataset.id);
+    
+    element.querySelector('.queue-item-select').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        selectedQueueIds.add(id);
+      } else {
+        selectedQueueIds.delete(id);
+      }
+      queueSelectAll.checked = selectedQueueIds.size === selectableIds.size;
+    });
+    
+    element.querySelector('.queue-save-btn').addEventListener('click', async () => {
+      const content = element.querySelector('textarea').value;
+      if (!content.trim()) {
+        showStatus(queueStatus, 'error', t('status_error_emptyContent'));
+        return;
+      }
+      
+      // 列表渲染后后台可能已领取该项
+      if ((await getLeasedQueueIds()).has(id)) {
+        showStatus(queueStatus, 'error', t('settings_queue_error_itemBusy'));
+        await refreshQueueList();
+        return;
+      }
+      
+      const success = await updateItem(id, { content });
+      if (success) {
+        showStatus(queueStatus, 'success', t('settings_queue_success_updated'));
+        await refreshQueueList();
+      } else {
+        showStatus(queueStatus, 'error', t('settings_queue_error_updateFailed'));
+      }
+    });
+    
+    element.querySelector('.queue-retry-btn').addEventListener('click', () => retryQueueItems([id]));
+    element.querySelector('.queue-delete-btn').addEventListener('click', () => deleteQueueItems([id]));
+  });
+}
+
+/**
+ * 读取后台正在处理（持有租约）的队列项ID
+ * @returns {Promise<Set<number>>}
+ */
+async function getLeasedQueueIds() {
+  const items = await getQueue('retrying');
+  return new Set(items.map(item => item.id));
+}
+
+/**
+ * 合并短时间内的多次队列变化，只刷新一次列表
+ */
+function scheduleQueueRefresh() {
+  clearTimeout(queueRefreshTimer);
+  queueRefreshTimer = setTimeout(() => refreshQueueList(), 200);
+}
+
+function updateQueueCounts(items) {
+  const counts = { all: items.length, pending: 0, retrying: 0, failed: 0, success: 0 };
+  items.forEach(item => {
+    if (counts[item.status] !== undefined) {
+      counts[item.status]++;
+    }
+  });
+  
+  queueFilters.querySelectorAll('.queue-count').forEach(el => {
+    el.textContent = counts[el.dataset.count] || 0;
+  });
+}
+
+/**
+ * 手动重试队列项（交由后台Service Worker执行）
+ * @param {Array<number>} ids - 队列项ID列表
+ */
+async function retryQueueItems(ids) {
+  if (ids.length === 0) {
+    showStatus(queueStatus, 'error', t('settings_queue_error_noSelection'));
+    return;
+  }
+  
+  showStatus(queueStatus, 'info', t('settings_queue_loading_retrying', String(ids.length)));
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'retry-queue-items', ids });
+    if (response && response.success) {
+      showStatus(queueStatus, 'success', t('settings_queue_success_retried', String(response.succeeded), String(ids.length)));
+    } else {
+      showStatus(queueStatus, 'error', (response && response.message) || t('settings_queue_error_retryFailed'));
+    }
+  } catch (error) {
+    showStatus(queueStatus, 'error', t('settings_queue_error_retryFailed'));
+  }
+  
+  await refreshQueueList();
+}
+
+/**
+ * 删除队列项
+ * @param {Array<number>} ids - 队列项ID列表
+ */
+async function deleteQueueItems(ids) {
+  if (ids.length === 0) {
+    showStatus(queueStatus, 'error', t('settings_queue_error_noSelection'));
+    return;
+  }
+  
+  if (!confirm(t('settings_queue_confirmDelete', String(ids.length)))) {
+    return;
+  }
+  
+  // 跳过后台正在处理的项
+  const leasedIds = await getLeasedQueueIds();
+  ids = ids.filter(id => !leasedIds.has(id));
+  if (ids.length === 0) {
+    showStatus(queueStatus, 'error', t('settings_queue_error_itemBusy'));
+    await refreshQueueList();
+    return;
+  }
+  
+  for (const id of ids) {
+    await dequeue(id);
+    selectedQueueIds.delete(id);
+  }
+  
+  showStatus(queueStatus, 'success', t('settings_queue_success_deleted', String(ids.length)));
+  await refreshQueueList();
+}
+
+queueSelectAll.addEventListener('change', () => {
+  queueList.querySelectorAll('.queue-item').forEach(element => {
+    const id = Number(element.dataset.id);
+    const checkbox = element.querySelector('.queue-item-select');
+    if (checkbox.disabled) {
+      return;
+    }
+    checkbox.checked = queueSelectAll.checked;
+    if (queueSelectAll.checked) {
+      selectedQueueIds.add(id);
+    } else {
+      selectedQueueIds.delete(id);
+    }
+  });
+});
+
+queueRetrySelectedBtn.addEventListener('click', () => retryQueueItems([...selectedQueueIds]));
+queueDeleteSelectedBtn.addEventListener('click', () => deleteQueueItems([...selectedQueueIds]));
+queueRefreshBtn.addEventListener('click', () => refreshQueueList());
+
+// 后台处理、popup入队等其他上下文修改队列后刷新列表
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === QUEUE_CHANGED_ACTION) {
+    scheduleQueueRefresh();
+  }
+});
+
+queueExportBtn.addEventListener('click', async () => {
+  try {
+    const json = await exportQueue();
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `blinko-offline-queue-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    showStatus(queueStatus, 'success', t('settings_queue_success_exported'));
+  } catch (error) {
+    showStatus(queueStatus, 'error', t('settings_general_error_exportFailed', error.message));
+  }
+});
+
+// ========== Tab 7: 通用设置 ==========
 const linkSummary = document.getElementById('link-summary');
 const linkSelection = document.getElementById('link-selection');
 const linkImage = document.getElementById('link-image');
@@ -581,6 +926,16 @@ const linkQuickNote = document.getElementById('link-quick-note');
 const enableLazyLoadTrigger = document.getElementById('enable-lazy-load-trigger');
 const lazyLoadScrollSpeed = document.getElementById('lazy-load-scroll-speed');
 const lazyLoadMaxWait = document.getElementById('lazy-load-max-wait');
+const screenshotAnnotate = document.getElementById('screenshot-annotate');
+const extractionPattern = document.getElementById('extraction-pattern');
+const extractionRuleType = document.getElementById('extraction-rule-type');
+const extractionContentSelector = document.getElementById('extraction-content-selector');
+const extractionRemoveSelectors = document.getElementById('extraction-remove-selectors');
+const extractionTitleSelector = document.getElementById('extraction-title-selector');
+const addExtractionRuleBtn = document.getElementById('add-extraction-rule');
+const extractionRulesList = document.getElementById('extraction-rules-list');
+
+let extractionRules = [];
 const exportConfigBtn = document.getElementById('export-config');
 const importFileInput = document.getElementById('import-file');
 const generalStatus = document.getElementById('general-status');
@@ -595,6 +950,13 @@ async function loadGeneralSettings() {
   enableLazyLoadTrigger.checked = await getConfig('enable_lazy_load_trigger', true);
   lazyLoadScrollSpeed.value = await getConfig('lazy_load_scroll_speed', 'medium');
   lazyLoadMaxWait.value = await getConfig('lazy_load_max_wait', 10);
+  
+  // 截图配置
+  screenshotAnnotate.checked = await getConfig('screenshot_annotate', true);
+  
+  // 正文提取规则
+  extractionRules = await getConfig('extraction_rules', []);
+  displayExtractionRules();
 }
 
 linkSummary.addEventListener('change', () => saveConfig('include_link_summary', linkSummary.checked));
@@ -612,6 +974,110 @@ lazyLoadScrollSpeed.addEventListener('change', () =>
 lazyLoadMaxWait.addEventListener('change', () => 
   saveConfig('lazy_load_max_wait', parseInt(lazyLoadMaxWait.value))
 );
+screenshotAnnotate.addEventListener('change', () => 
+  saveConfig('screenshot_annotate', screenshotAnnotate.checked)
+);
+
+// 正文提取规则管理
+addExtractionRuleBtn.addEventListener('click', async () => {
+  const pattern = extractionPattern.value.trim();
+  const type = extractionRuleType.value;
+  const contentSelector = extractionContentSelector.value.trim();
+  const removeSelectors = extractionRemoveSelectors.value
+    .split('\n')
+    .map(selector => selector.trim())
+    .filter(Boolean);
+  const titleSelector = extractionTitleSelector.value.trim();
+  
+  if (!pattern) {
+    showStatus(generalStatus, 'error', t('settings_templates_error_patternEmpty'));
+    return;
+  }
+  
+  if (!contentSelector && removeSelectors.length === 0 && !titleSelector) {
+    showStatus(generalStatus, 'error', t('settings_general_error_extractionEmpty'));
+    return;
+  }
+  
+  const validation = validateDomainRule(pattern, type);
+  if (!validation.valid) {
+    showStatus(generalStatus, 'error', validation.message);
+    return;
+  }
+  
+  const invalidSelector = [contentSelector, ...removeSelectors, titleSelector]
+    .find(selector => selector && !isValidSelector(selector));
+  if (invalidSelector) {
+    showStatus(generalStatus, 'error', t('settings_general_error_invalidSelector', invalidSelector));
+    return;
+  }
+  
+  extractionRules.push({ pattern, type, contentSelector, removeSelectors, titleSelector });
+  await saveConfig('extraction_rules', extractionRules);
+  
+  extractionPattern.value = '';
+  extractionContentSelector.value = '';
+  extractionRemoveSelectors.value = '';
+  extractionTitleSelector.value = '';
+  displayExtractionRules();
+  
+  showStatus(generalStatus, 'success', t('settings_templates_success_ruleAdded'));
+});
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function displayExtractionRules() {
+  if (extractionRules.length === 0) {
+    extractionRulesList.innerHTML = `<div class="empty-list">${t('settings_templates_emptyList')}</div>`;
+    return;
+  }
+  
+  extractionRulesList.innerHTML = '';
+  
+  extractionRules.forEach((rule, index) => {
+    const ruleItem = document.createElement('div');
+    ruleItem.className = 'rule-item';
+    
+    const typeText = {
+      'domain': t('settings_templates_ruleType_domain'),
+      'regex': t('settings_templates_ruleType_regex'),
+      'exact': t('settings_templates_ruleType_exact')
+    }[rule.type] || rule.type;
+    
+    const details = [
+      rule.contentSelector && t('settings_general_extractionRuleContent', rule.contentSelector),
+      rule.removeSelectors.length > 0 && t('settings_general_extractionRuleRemove', rule.removeSelectors.join(', ')),
+      rule.titleSelector && t('settings_general_extractionRuleTitle', rule.titleSelector)
+    ].filter(Boolean);
+    
+    ruleItem.innerHTML = `
+      <div class="rule-info">
+        <strong>${escapeHtml(rule.pattern)}</strong>
+        <span>${typeText} → ${escapeHtml(details.join('; '))}</span>
+      </div>
+      <div class="rule-actions">
+        <button data-index="${index}">${t('common_btn_delete')}</button>
+      </div>
+    `;
+    
+    ruleItem.querySelector('button').addEventListener('click', () => deleteExtractionRule(index));
+    extractionRulesList.appendChild(ruleItem);
+  });
+}
+
+async function deleteExtractionRule(index) {
+  extractionRules.splice(index, 1);
+  await saveConfig('extraction_rules', extractionRules);
+  displayExtractionRules();
+  showStatus(generalStatus, 'success', t('settings_templates_success_ruleDeleted'));
+}
 
 exportConfigBtn.addEventListener('click', async () => {
   try {
@@ -668,6 +1134,13 @@ function showStatus(element, type, message) {
   }
 }
 
+// HTML转义
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 // ========== 语言选择功能 ==========
 const languageSelector = document.getElementById('interface-language');
 const refreshPageBtn = document.getElementById('refresh-page');
@@ -719,6 +1192,7 @@ async function loadAllConfigs() {
   await loadTagConfig();
   await loadDomainTagConfig();
   await loadStorageConfig();
+  await loadQueueSettings();
   await loadGeneralSettings();
   await loadLanguagePreference();
 }
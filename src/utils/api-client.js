@@ -6,6 +6,9 @@
 import { t } from './i18n.js';
 import { enqueue, getQueueSettings } from './offline-queue.js';
 
+// 幂等标记前缀：以Markdown注释形式附加在笔记末尾，渲染时不可见
+const IDEMPOTENCY_MARKER_PREFIX = 'blinko-clip-id:';
+
 /**
  * 验证Blinko连接
  * @param {string} apiUrl - Blinko API URL
@@ -44,8 +47,28 @@ export async function validateBlinkoConnection(apiUrl, token) {
   }
 }
 
+/**
+ * 生成笔记幂等ID
+ * @returns {string}
+ */
+export function generateIdempotencyKey() {
+  return crypto.randomUUID();
+}
+
+/**
+ * 在笔记内容末尾附加隐藏的幂等标记
+ * 使用 `[//]: # (...)` 形式的Markdown注释，Blinko渲染时不会显示
+ * @param {string} content - 笔记内容
+ * @param {string} idempotencyKey - 幂等ID
+ * @returns {string}
+ */
+function appendIdempotencyMarker(content, idempotencyKey) {
+  return `${content}\n\n[//]: # (${IDEMPOTENCY_MARKER_PREFIX}${idempotencyKey})`;
+}
+
 /**
  * 创建Blinko笔记
+ * 每条笔记都会携带客户端生成的幂等ID，入队重试前可据此判断笔记是否已保存
  * @param {string} apiUrl - Blinko API URL
  * @param {string} token - 授权令牌
  * @param {string} content - 笔记内容
@@ -54,6 +77,9 @@ export async function validateBlinkoConnection(apiUrl, token) {
  * @returns {Promise<{success: boolean, message: string, data?: any, queued?: boolean}>}
  */
 export async function createNote(apiUrl, token, content, type = 0, metadata = {}) {
+  const idempotencyKey = metadata.idempotencyKey || generateIdempotencyKey();
+  metadata = { ...metadata, idempotencyKey };
+  
   try {
     if (!apiUrl || !token) {
       return { success: false, message: t('api_error_noBlinkoConfig') };
@@ -71,7 +97,7 @@ export async function createNote(apiUrl, token, content, type = 0, metadata = {}
         'Authorization': `Bearer ${token}`
       },
       body: JSON.stringify({
-        content: content,
+        content: appendIdempotencyMarker(content, idempotencyKey),
         type: type
       })
     });
@@ -140,6 +166,7 @@ async function tryEnqueueNote(content, type, metadata, error) {
       tags: '', // 标签已包含在content中
       url: metadata.url || '',
       title: metadata.title || '',
+      idempotencyKey: metadata.idempotencyKey,
       metadata: {
         ...metadata,
         initialError: error
@@ -158,41 +185,152 @@ async function tryEnqueueNote(content, type, metadata, error) {
   }
 }
 
+/**
+ * 将AI总结任务加入离线队列（AI服务不可用时使用）
+ * 队列项内容为提取的Markdown，后台在AI服务恢复后按模板总结，再附加footer提交到Blinko
+ * @param {Object} job - {markdown, templateId, type, url, title, pageMetadata, footer, source}
+ * @param {string} error - 错误信息
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function enqueueSummarizeJob(job, error) {
+  const settings = await getQueueSettings();
+  if (!settings.autoRetry) {
+    console.log('[api-client] Auto retry disabled, not enqueueing summarize job');
+    return { success: false, message: error };
+  }
+  
+  const result = await enqueue({
+    content: job.markdown,
+    type: job.type ?? 1,
+    url: job.url || '',
+    title: job.title || '',
+    jobType: 'summarize',
+    templateId: job.templateId || '',
+    footer: job.footer || '',
+    idempotencyKey: generateIdempotencyKey(),
+    metadata: {
+      source: job.source,
+      initialError: error,
+      pageMetadata: job.pageMetadata || {}
+    }
+  });
+  
+  if (result.success) {
+    console.log('[api-client] Summarize job enqueued:', result.id);
+  }
+  
+  return result;
+}
+
 /**
  * 重试队列中的笔记
+ * 携带幂等ID的笔记会先检查Blinko中是否已存在，已存在则跳过提交（至多一次投递）
  * @param {Object} queueItem - 队列项
  * @param {string} apiUrl - Blinko API URL
  * @param {string} token - 授权令牌
- * @returns {Promise<{success: boolean, message: string}>}
+ * @returns {Promise<{success: boolean, message: string, data?: any, duplicate?: boolean}>}
  */
 export async function retryQueuedNote(queueItem, apiUrl, token) {
-  // 重试时不再入队，直接返回结果
-  const tempCreateNote = async (url, tok, content, type) => {
-    try {
-      const response = await fetch(`${url.replace(/\/$/, '')}/api/v1/note/upsert`, {
+  const { content, type, idempotencyKey } = queueItem;
+  
+  // 早期入队的项没有幂等ID，直接提交
+  if (!idempotencyKey) {
+    return await postNote(apiUrl, token, content, type);
+  }
+  
+  const existing = await findNoteByIdempotencyKey(apiUrl, token, idempotencyKey);
+  if (!existing.success) {
+    // 无法确认笔记是否已存在时不提交，等待下次重试
+    return { success: false, message: existing.message };
+  }
+  
+  if (existing.note) {
+    console.log('[api-client] Note already exists, skipping retry:', idempotencyKey);
+    return { success: true, message: '笔记已存在，跳过重试', data: existing.note, duplicate: true };
+  }
+  
+  return await postNote(apiUrl, token, appendIdempotencyMarker(content, idempotencyKey), type);
+}
+
+/**
+ * 提交笔记（不入队，直接返回结果）
+ * @param {string} apiUrl - Blinko API URL
+ * @param {string} token - 授权令牌
+ * @param {string} content - 笔记内容
+ * @param {number} type - 笔记类型
+ * @returns {Promise<{success: boolean, message: string, data?: any}>}
+ */
+async function postNote(apiUrl, token, content, type) {
+  try {
+    const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/v1/note/upsert`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ content, type })
+    });
+    
+    if (!response.ok) {
+      return { 
+        success: false, 
+        message: `HTTP ${response.status}` 
+      };
+    }
+    
+    const data = await response.json();
+    return { success: true, message: '重试成功', data };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * 根据幂等ID查找Blinko中已存在的笔记
+ * 先按标记全文搜索，搜索未命中时再扫描最近的笔记（兼容搜索不支持精确匹配的情况）
+ * @param {string} apiUrl - Blinko API URL
+ * @param {string} token - 授权令牌
+ * @param {string} idempotencyKey - 幂等ID
+ * @returns {Promise<{success: boolean, note?: Object|null, message?: string}>}
+ */
+export async function findNoteByIdempotencyKey(apiUrl, token, idempotencyKey) {
+  const marker = `${IDEMPOTENCY_MARKER_PREFIX}${idempotencyKey}`;
+  
+  try {
+    for (const searchText of [marker, '']) {
+      const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/v1/note/list`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${tok}`
+          'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ content, type })
+        body: JSON.stringify({
+          page: 1,
+          size: searchText ? 10 : 50,
+          orderBy: 'desc',
+          type: -1,
+          isRecycle: false,
+          searchText
+        })
       });
       
       if (!response.ok) {
-        return { 
-          success: false, 
-          message: `HTTP ${response.status}` 
-        };
+        return { success: false, message: `查询已存在笔记失败: HTTP ${response.status}` };
       }
       
       const data = await response.json();
-      return { success: true, message: '重试成功', data };
-    } catch (error) {
-      return { success: false, message: error.message };
+      const notes = Array.isArray(data) ? data : (data.items || data.list || []);
+      const note = notes.find(n => (n.content || '').includes(marker));
+      
+      if (note) {
+        return { success: true, note };
+      }
     }
-  };
-  
-  return await tempCreateNote(apiUrl, token, queueItem.content, queueItem.type);
+    
+    return { success: true, note: null };
+  } catch (error) {
+    return { success: false, message: `查询已存在笔记失败: ${error.message}` };
+  }
 }
 
 /**
@@ -256,7 +394,7 @@ export async function validateOpenAI(baseUrl, apiKey, model) {
  * @param {string} model - 模型名称
  * @param {string} systemPrompt - 系统提示词
  * @param {string} content - 要总结的内容
- * @returns {Promise<{success: boolean, message: string, summary?: string}>}
+ * @returns {Promise<{success: boolean, message: string, summary?: string, retryable?: boolean}>} retryable表示服务暂不可用，可稍后重试
  */
 export async function summarizeContent(baseUrl, apiKey, model, systemPrompt, content) {
   try {
@@ -306,9 +444,13 @@ export async function summarizeContent(baseUrl, apiKey, model, systemPrompt, con
         return { success: false, message: t('error_apiKeyInvalid') };
       }
       if (response.status === 429) {
-        return { success: false, message: t('error_apiQuotaExceeded') };
+        return { success: false, message: t('error_apiQuotaExceeded'), retryable: true };
       }
-      return { success: false, message: t('api_error_summarizeHttpStatus', response.status.toString()) };
+      return { 
+        success: false, 
+        message: t('api_error_summarizeHttpStatus', response.status.toString()),
+        retryable: response.status >= 500
+      };
     }
     
     const data = await response.json();
@@ -322,10 +464,10 @@ export async function summarizeContent(baseUrl, apiKey, model, systemPrompt, con
     
   } catch (error) {
     if (error.name === 'AbortError') {
-      return { success: false, message: t('error_timeout') };
+      return { success: false, message: t('error_timeout'), retryable: true };
     }
     console.error('总结失败', error);
-    return { success: false, message: t('status_error_summarizeFailed', error.message) };
+    return { success: false, message: t('status_error_summarizeFailed', error.message), retryable: true };
   }
 }
 
@@ -0,0 +1,154 @@
+/**
+ * 网络连通性监测
+ * 结合Service Worker的online/offline事件与对Blinko的定期健康探测，判断Blinko是否可达
+ */
+
+import { getConfig } from './storage.js';
+
+// 定期健康探测使用的alarm名称
+export const PROBE_ALARM_NAME = 'connectivity-probe';
+
+const PROBE_INTERVAL_MINUTES = 1;
+const PROBE_TIMEOUT = 10000;
+// 最近一次探测结果保存在session存储中，Service Worker重启后仍能判断状态是否真的发生了变化
+const REACHABLE_STORAGE_KEY = 'connectivity_reachable';
+
+let reachable = null; // null 表示尚未探测
+let activeProbe = null;
+const reachableListeners = new Set();
+
+/**
+ * 启动连通性监测
+ * 需在Service Worker顶层调用；alarm事件由调用方分发到 probeBlinko
+ */
+export function startConnectivityMonitor() {
+  self.addEventListener('online', () => {
+    console.log('[connectivity] Browser online, probing Blinko...');
+    probeBlinko();
+  });
+
+  self.addEventListener('offline', () => {
+    console.log('[connectivity] Browser offline');
+    setReachable(false);
+  });
+
+  chrome.alarms.create(PROBE_ALARM_NAME, {
+    periodInMinutes: PROBE_INTERVAL_MINUTES
+  });
+}
+
+/**
+ * 订阅Blinko恢复可达事件（仅由已知的不可达变为可达时触发）
+ * @param {Function} listener - 回调
+ * @returns {Function} 取消订阅函数
+ */
+export function onBlinkoReachable(listener) {
+  reachableListeners.add(listener);
+  return () => reachableListeners.delete(listener);
+}
+
+/**
+ * 获取最近一次探测的结果
+ * @returns {boolean|null} 尚未探测时返回null
+ */
+export function isBlinkoReachable() {
+  return reachable;
+}
+
+/**
+ * 探测Blinko是否可达（请求 /api/v1/tags/list）
+ * 同时发起的多次探测共用同一个请求
+ * @returns {Promise<boolean>}
+ */
+export function probeBlinko() {
+  if (!activeProbe) {
+    activeProbe = requestHealth()
+      .then(async (result) => {
+        await setReachable(result);
+        return result;
+      })
+      .finally(() => {
+        activeProbe = null;
+      });
+  }
+
+  return activeProbe;
+}
+
+/**
+ * 请求Blinko健康检查接口
+ * @returns {Promise<boolean>}
+ */
+async function requestHealth() {
+  const apiUrl = await getConfig('blinko_api_url', '');
+  const token = await getConfig('blinko_authorization', '');
+
+  if (!apiUrl || !token) {
+    return false;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+
+  try {
+    const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/v1/tags/list`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      },
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    return response.ok;
+  } catch (error) {
+    console.log('[connectivity] Blinko probe failed:', error.message);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 更新可达状态，由已知的不可达变为可达时通知订阅者
+ * 首次探测（包括Service Worker重启后）的旧状态从session存储读取；
+ * 未知状态变为可达不算恢复，否则每次唤醒都会忽略重试计划提交整个队列
+ * @param {boolean} value - 是否可达
+ */
+async function setReachable(value) {
+  const previous = reachable ?? await loadStoredReachable();
+  reachable = value;
+
+  if (value === previous) {
+    return;
+  }
+
+  await chrome.storage.session.set({ [REACHABLE_STORAGE_KEY]: value }).catch((error) => {
+    console.error('[connectivity] Failed to persist state:', error);
+  });
+
+  console.log(`[connectivity] Blinko ${value ? 'reachable' : 'unreachable'}`);
+
+  if (value && previous === false) {
+    for (const listener of reachableListeners) {
+      try {
+        listener();
+      } catch (error) {
+        console.error('[connectivity] Listener error:', error);
+      }
+    }
+  }
+}
+
+/**
+ * 读取上一个Service Worker实例记录的可达状态
+ * @returns {Promise<boolean|null>} 没有记录时返回null
+ */
+async function loadStoredReachable() {
+  try {
+    const result = await chrome.storage.session.get(REACHABLE_STORAGE_KEY);
+    return result[REACHABLE_STORAGE_KEY] ?? null;
+  } catch (error) {
+    console.error('[connectivity] Failed to load state:', error);
+    return null;
+  }
+}
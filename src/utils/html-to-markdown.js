@@ -24,15 +24,34 @@ export function htmlToMarkdown(html, includeImages = true) {
     doc.querySelectorAll('img').forEach(img => img.remove());
   }
   
+  // 脚注定义移到文末，以GFM脚注输出
+  const context = createContext();
+  const footnotes = extractFootnotes(doc, context);
+  
   // 转换为Markdown
-  const markdown = convertElement(doc.body);
+  let markdown = convertElement(doc.body, context).trim();
+  if (footnotes) {
+    markdown += `\n\n${footnotes}`;
+  }
   
   return {
-    markdown: markdown.trim(),
+    markdown: markdown,
     images: images
   };
 }
 
+/**
+ * 将Markdown文本转为引用块
+ * @param {string} markdown - Markdown文本
+ * @returns {string} 每行加上 "> " 前缀，空行为 ">"
+ */
+export function quoteMarkdown(markdown) {
+  return markdown
+    .split('\n')
+    .map(line => line ? `> ${line}` : '>')
+    .join('\n');
+}
+
 /**
  * 清理文档中的无用元素
  * @param {Document} doc - DOM文档
@@ -69,175 +88,756 @@ function extractImageUrls(doc) {
   return images;
 }
 
+// 代码语言类名，如 language-js、lang-python、highlight-source-rust
+const CODE_LANGUAGE_PATTERN = /(?:^|\s)(?:language|lang|highlight-source|highlight)-([\w#+.-]+)/;
+
+// 脚注定义所在的容器（Pandoc/kramdown/markdown-it、DPUB-ARIA、维基百科）
+const FOOTNOTE_CONTAINERS = '.footnotes, .footnote-definitions, [role="doc-endnotes"], ol.references';
+// 脚注定义中返回正文的链接
+const FOOTNOTE_BACKLINKS = '.reversefootnote, .footnote-backref, [role="doc-backlink"], .mw-cite-backlink, a[href^="#fnref"]';
+
+// 渲染后的公式容器，TeX源码保存在 annotation 或 data-tex 中
+const MATH_SELECTOR = '[data-tex], .katex-display, .katex, mjx-container, math';
+
+// 块级元素：各自独立成段，其余节点按行内内容合并为段落
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+const BLOCK_SELECTOR = Array.from(BLOCK_TAGS).join(', ');
+
+// HTML空白符（不含不换行空格，后者单独转换为普通空格）
+const HTML_WHITESPACE = /[ \t\n\r\f]+/g;
+
+/**
+ * 块级元素转换器：tag -> (node, context) => Markdown块
+ * 未列出的块级元素（div、section等）作为容器，转换其子节点
+ */
+const BLOCK_CONVERTERS = {
+  h1: (node, context) => convertHeading(node, 1, context),
+  h2: (node, context) => convertHeading(node, 2, context),
+  h3: (node, context) => convertHeading(node, 3, context),
+  h4: (node, context) => convertHeading(node, 4, context),
+  h5: (node, context) => convertHeading(node, 5, context),
+  h6: (node, context) => convertHeading(node, 6, context),
+  
+  pre: convertCodeBlock,
+  blockquote: (node, context) => quoteMarkdown(convertElement(node, context)),
+  
+  ul: (node, context) => convertList(node, false, context),
+  ol: (node, context) => convertList(node, true, context),
+  dl: convertDefinitionList,
+  
+  figure: convertFigure,
+  table: convertTable,
+  hr: () => '---'
+};
+
+/**
+ * 行内元素转换器：tag -> (node, context) => Markdown行内文本
+ * 未列出的行内元素（span等）只转换其子节点
+ */
+const INLINE_CONVERTERS = {
+  strong: (node, context) => convertEmphasis(node, context, 'strong', '**'),
+  b: (node, context) => convertEmphasis(node, context, 'strong', '**'),
+  em: (node, context) => convertEmphasis(node, context, 'em', '*'),
+  i: (node, context) => convertEmphasis(node, context, 'em', '*'),
+  del: (node, context) => convertEmphasis(node, context, 'strike', '~~'),
+  s: (node, context) => convertEmphasis(node, context, 'strike', '~~'),
+  strike: (node, context) => convertEmphasis(node, context, 'strike', '~~'),
+  mark: (node, context) => convertEmphasis(node, context, 'mark', '=='),
+  
+  a: convertLink,
+  img: convertImage,
+  code: convertCodeSpan,
+  br: () => '\n',
+  wbr: () => '',
+  // 复选框由 convertList 输出为任务列表标记
+  input: () => ''
+};
+
+/**
+ * 创建单次转换的上下文
+ * footnotes 在整次转换中共享；strong、em、link 等标记当前所处的行内格式，由子节点继承
+ * @returns {Object}
+ */
+function createContext() {
+  return { footnotes: new Map() };
+}
+
 /**
- * 递归转换DOM元素为Markdown
+ * 转换元素的子节点为Markdown块
+ * 连续的文本和行内元素合并为一个段落，块级元素各自成段
  * @param {Element} element - DOM元素
- * @param {number} listDepth - 列表深度
- * @returns {string} Markdown文本
+ * @param {Object} context - 转换上下文
+ * @returns {string} Markdown文本，块之间以空行分隔
  */
-function convertElement(element, listDepth = 0) {
+function convertElement(element, context = createContext()) {
   if (!element) return '';
   
-  let markdown = '';
+  const blocks = [];
+  let inline = '';
+  
+  const flushInline = () => {
+    const paragraph = finishParagraph(inline);
+    if (paragraph) {
+      blocks.push({ markdown: paragraph, list: false });
+    }
+    inline = '';
+  };
   
   for (const node of element.childNodes) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      const text = node.textContent.trim();
-      if (text) {
-        markdown += text + ' ';
-      }
-    } else if (node.nodeType === Node.ELEMENT_NODE) {
-      const tag = node.tagName.toLowerCase();
-      
-      switch (tag) {
-        case 'h1':
-          markdown += `\n\n# ${getTextContent(node)}\n\n`;
-          break;
-        case 'h2':
-          markdown += `\n\n## ${getTextContent(node)}\n\n`;
-          break;
-        case 'h3':
-          markdown += `\n\n### ${getTextContent(node)}\n\n`;
-          break;
-        case 'h4':
-          markdown += `\n\n#### ${getTextContent(node)}\n\n`;
-          break;
-        case 'h5':
-          markdown += `\n\n##### ${getTextContent(node)}\n\n`;
-          break;
-        case 'h6':
-          markdown += `\n\n###### ${getTextContent(node)}\n\n`;
-          break;
-          
-        case 'p':
-          markdown += `\n\n${convertElement(node)}\n\n`;
-          break;
-          
-        case 'br':
-          markdown += '\n';
-          break;
-          
-        case 'strong':
-        case 'b':
-          markdown += `**${getTextContent(node)}**`;
-          break;
-          
-        case 'em':
-        case 'i':
-          markdown += `*${getTextContent(node)}*`;
-          break;
-          
-        case 'a':
-          const href = node.getAttribute('href') || '';
-          const linkText = getTextContent(node);
-          markdown += `[${linkText}](${href})`;
-          break;
-          
-        case 'img':
-          const src = node.src || node.getAttribute('data-src') || '';
-          const alt = node.getAttribute('alt') || '图片';
-          if (src) {
-            markdown += `\n\n![${alt}](${src})\n\n`;
-          }
-          break;
-          
-        case 'code':
-          if (node.parentElement.tagName.toLowerCase() === 'pre') {
-            // 代码块已由pre标签处理
-            break;
-          }
-          markdown += `\`${getTextContent(node)}\``;
-          break;
-          
-        case 'pre':
-          const codeContent = getTextContent(node);
-          markdown += `\n\n\`\`\`\n${codeContent}\n\`\`\`\n\n`;
-          break;
-          
-        case 'blockquote':
-          const quoteLines = convertElement(node).split('\n');
-          markdown += '\n\n' + quoteLines.map(line => line ? `> ${line}` : '>').join('\n') + '\n\n';
-          break;
-          
-        case 'ul':
-          markdown += '\n' + convertList(node, false, listDepth) + '\n';
-          break;
-          
-        case 'ol':
-          markdown += '\n' + convertList(node, true, listDepth) + '\n';
-          break;
-          
-        case 'li':
-          // li标签由convertList处理
-          break;
-          
-        case 'table':
-          markdown += '\n\n' + convertTable(node) + '\n\n';
-          break;
-          
-        case 'hr':
-          markdown += '\n\n---\n\n';
-          break;
-          
-        default:
-          markdown += convertElement(node, listDepth);
+    if (node.nodeType === Node.ELEMENT_NODE && isBlockNode(node)) {
+      flushInline();
+      const markdown = convertBlock(node, context).replace(/^\n+|\s+$/g, '');
+      if (markdown) {
+        blocks.push({ markdown, list: ['ul', 'ol'].includes(node.tagName.toLowerCase()) });
       }
+    } else {
+      inline = appendInline(inline, convertInline(node, context));
     }
   }
+  flushInline();
   
+  // 列表项中的嵌套列表紧跟上一行，保持紧凑列表
+  return blocks.reduce((markdown, block, index) => {
+    if (index === 0) {
+      return block.markdown;
+    }
+    const separator = context.listItem && block.list ? '\n' : '\n\n';
+    return markdown + separator + block.markdown;
+  }, '');
+}
+
+/**
+ * 判断元素是否按块级处理
+ * 含块级子元素的未知元素（如自定义元素）作为容器处理，避免其中的段落被合并
+ * @param {Element} node - DOM元素
+ * @returns {boolean}
+ */
+function isBlockNode(node) {
+  if (node.matches(MATH_SELECTOR) && getTex(node)) {
+    return isDisplayMath(node);
+  }
+  
+  const tag = node.tagName.toLowerCase();
+  if (BLOCK_TAGS.has(tag)) {
+    return true;
+  }
+  if (INLINE_CONVERTERS[tag]) {
+    return false;
+  }
+  return node.querySelector(BLOCK_SELECTOR) !== null;
+}
+
+/**
+ * 转换块级元素
+ * @param {Element} node - DOM元素
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertBlock(node, context) {
+  if (node.matches(MATH_SELECTOR)) {
+    const tex = getTex(node);
+    if (tex) {
+      return `$$\n${tex}\n$$`;
+    }
+  }
+  
+  const converter = BLOCK_CONVERTERS[node.tagName.toLowerCase()];
+  return converter ? converter(node, context) : convertElement(node, context);
+}
+
+/**
+ * 转换行内节点（文本或行内元素）
+ * @param {Node} node - DOM节点
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertInline(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeText(collapseWhitespace(node.textContent));
+  }
+  
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+  
+  if (node.matches(MATH_SELECTOR)) {
+    const tex = getTex(node);
+    if (tex) {
+      return isDisplayMath(node) ? `$$${tex}$$` : `$${tex}$`;
+    }
+  }
+  
+  const tag = node.tagName.toLowerCase();
+  const converter = INLINE_CONVERTERS[tag];
+  if (converter) {
+    return converter(node, context);
+  }
+  
+  // 行内上下文中的块级元素（如链接中的标题）按文本处理，前后留空格
+  const content = convertInlineChildren(node, context);
+  return BLOCK_TAGS.has(tag) ? ` ${content} ` : content;
+}
+
+/**
+ * 转换元素的全部子节点为行内文本
+ * @param {Element} element - DOM元素
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertInlineChildren(element, context) {
+  let markdown = '';
+  for (const node of element.childNodes) {
+    markdown = appendInline(markdown, convertInline(node, context));
+  }
   return markdown;
 }
 
 /**
- * 转换列表
+ * 拼接行内文本，合并相邻片段交界处的空白
+ * @param {string} markdown - 已有文本
+ * @param {string} piece - 新片段
+ * @returns {string}
+ */
+function appendInline(markdown, piece) {
+  if (/[ \n]$/.test(markdown) && piece.startsWith(' ')) {
+    return markdown + piece.slice(1);
+  }
+  if (markdown.endsWith(' ') && piece.startsWith('\n')) {
+    return markdown.slice(0, -1) + piece;
+  }
+  return markdown + piece;
+}
+
+/**
+ * 将合并后的行内文本整理为段落：去除每行首尾空白并转义行首的块级语法
+ * @param {string} text - 行内文本
+ * @returns {string}
+ */
+function finishParagraph(text) {
+  return text
+    .split('\n')
+    .map(line => escapeLineStart(line.trim()))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * 折叠HTML空白符为单个空格
+ * @param {string} text
+ * @returns {string}
+ */
+function collapseWhitespace(text) {
+  return text.replace(HTML_WHITESPACE, ' ').replace(/\u00a0/g, ' ');
+}
+
+/**
+ * 转义文本中会被解析为Markdown行内语法的字符
+ * 单词内部的下划线（如 snake_case）不会触发强调，保持原样
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/[*`[\]]/g, '\\$&')
+    .replace(/~~/g, '\\~\\~')
+    .replace(/==/g, '\\=\\=')
+    .replace(/<(?=[a-zA-Z/!?])/g, '\\<')
+    .replace(/&(?=#?\w+;)/g, '\\&')
+    .replace(/_/g, (match, offset, string) => (
+      isWordCharacter(string[offset - 1]) && isWordCharacter(string[offset + 1]) ? '_' : '\\_'
+    ));
+}
+
+/**
+ * 转义段落行首会被解析为标题、引用、列表或分隔线的文本
+ * @param {string} line - 段落中的一行
+ * @returns {string}
+ */
+function escapeLineStart(line) {
+  return line
+    .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+    .replace(/^>/, '\\>')
+    .replace(/^([-+])(?=\s|$)/, '\\$1')
+    .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+    .replace(/^(=+|-{3,})$/, '\\$1');
+}
+
+/**
+ * 判断字符是否为字母或数字
+ * @param {string|undefined} character
+ * @returns {boolean}
+ */
+function isWordCharacter(character) {
+  return character !== undefined && /[\p{L}\p{N}]/u.test(character);
+}
+
+/**
+ * 用定界符包裹行内内容，首尾空白移到定界符外侧以保证语法有效
+ * @param {string} content - 行内内容
+ * @param {string} delimiter - 如 ** 或 *
+ * @returns {string}
+ */
+function wrapInline(content, delimiter) {
+  const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  if (!core) {
+    return leading || trailing ? ' ' : '';
+  }
+  return `${leading ? ' ' : ''}${delimiter}${core}${delimiter}${trailing ? ' ' : ''}`;
+}
+
+/**
+ * 转换强调类格式（粗体、斜体、删除线、高亮），嵌套在同类格式内时不再重复定界符
+ * @param {Element} node - DOM元素
+ * @param {Object} context - 转换上下文
+ * @param {string} format - 格式标记名
+ * @param {string} delimiter - Markdown定界符
+ * @returns {string}
+ */
+function convertEmphasis(node, context, format, delimiter) {
+  const content = convertInlineChildren(node, { ...context, [format]: true });
+  return context[format] ? content : wrapInline(content, delimiter);
+}
+
+/**
+ * 转换标题
+ * @param {Element} node - h1-h6元素
+ * @param {number} level - 标题级别
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertHeading(node, level, context) {
+  const content = convertInlineChildren(node, context).replace(/\s+/g, ' ').trim();
+  return content ? `${'#'.repeat(level)} ${content}` : '';
+}
+
+/**
+ * 转换链接，指向脚注定义的链接转换为GFM脚注引用
+ * @param {Element} node - a元素
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertLink(node, context) {
+  const href = (node.getAttribute('href') || '').trim();
+  
+  if (href.startsWith('#')) {
+    const label = context.footnotes.get(decodeFragment(href));
+    if (label) {
+      return `[^${label}]`;
+    }
+  }
+  
+  const content = convertInlineChildren(node, { ...context, link: true });
+  if (context.link || !href || /^javascript:/i.test(href)) {
+    return content;
+  }
+  
+  const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  if (!core) {
+    return leading || trailing ? ' ' : '';
+  }
+  
+  const title = node.getAttribute('title');
+  const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+  return `${leading ? ' ' : ''}[${core}](${escapeUrl(href)}${titlePart})${trailing ? ' ' : ''}`;
+}
+
+/**
+ * 转义链接或图片地址中会截断Markdown语法的字符
+ * @param {string} url
+ * @returns {string}
+ */
+function escapeUrl(url) {
+  return url
+    .replace(/\s/g, encodeURIComponent)
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29');
+}
+
+/**
+ * 转换图片
+ * @param {Element} node - img元素
+ * @returns {string}
+ */
+function convertImage(node) {
+  const src = node.src || node.getAttribute('data-src') || '';
+  if (!src) {
+    return '';
+  }
+  
+  const alt = collapseWhitespace(node.getAttribute('alt') || '图片').trim().replace(/[[\]\\]/g, '\\$&');
+  return `![${alt}](${escapeUrl(src)})`;
+}
+
+/**
+ * 转换行内代码，内容含反引号时使用更长的定界符
+ * @param {Element} node - code元素
+ * @returns {string}
+ */
+function convertCodeSpan(node) {
+  const code = node.textContent.replace(/[\r\n]+/g, ' ');
+  if (!code.trim()) {
+    return code ? ' ' : '';
+  }
+  
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const delimiter = '`'.repeat(longestRun + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${delimiter}${padding}${code}${padding}${delimiter}`;
+}
+
+/**
+ * 转换代码块，保留原始换行并标注语言
+ * @param {Element} node - pre元素
+ * @returns {string}
+ */
+function convertCodeBlock(node) {
+  const codeContent = node.textContent.replace(/^\n|\n$/g, '');
+  const language = detectCodeLanguage(node);
+  
+  // 代码中含有 ``` 时使用更长的围栏
+  const longestFence = Math.max(2, ...(codeContent.match(/`{3,}/g) || []).map(fence => fence.length));
+  const fence = '`'.repeat(longestFence + 1);
+  
+  return `${fence}${language}\n${codeContent}\n${fence}`;
+}
+
+/**
+ * 从 pre、其内的 code 及外层容器的类名或 data-lang 中识别代码语言
+ * @param {Element} pre - pre元素
+ * @returns {string} 语言标识，无法识别时返回空字符串
+ */
+function detectCodeLanguage(pre) {
+  const candidates = [pre.querySelector('code'), pre, pre.parentElement].filter(Boolean);
+  
+  for (const element of candidates) {
+    const dataLanguage = element.getAttribute('data-lang') || element.getAttribute('data-language');
+    if (dataLanguage) {
+      return dataLanguage.toLowerCase();
+    }
+    
+    const match = CODE_LANGUAGE_PATTERN.exec(element.getAttribute('class') || '');
+    if (match) {
+      return match[1].toLowerCase();
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * 读取公式的TeX源码
+ * @param {Element} node - 公式容器
+ * @returns {string} 找不到TeX源码时返回空字符串，按普通元素处理
+ */
+function getTex(node) {
+  const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+  return (node.getAttribute('data-tex') || (annotation && annotation.textContent) || node.getAttribute('alttext') || '').trim();
+}
+
+/**
+ * 判断公式是否为独立公式（输出 $$...$$），否则为行内公式（输出 $...$）
+ * @param {Element} node - 公式容器
+ * @returns {boolean}
+ */
+function isDisplayMath(node) {
+  return node.matches('.katex-display, mjx-container[display="true"], math[display="block"], div[data-tex]') ||
+    ['true', 'block'].includes(node.getAttribute('data-display'));
+}
+
+/**
+ * 转换 figure，图注作为图片的替代文本并在图片下方以斜体显示
+ * @param {Element} node - figure元素
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertFigure(node, context) {
+  const caption = node.querySelector('figcaption');
+  const captionText = caption ? convertInlineChildren(caption, { ...context, em: true }).trim() : '';
+  
+  if (caption) {
+    caption.remove();
+  }
+  
+  if (captionText) {
+    const altText = getTextContent(caption);
+    node.querySelectorAll('img:not([alt]), img[alt=""]').forEach(img => img.setAttribute('alt', altText));
+  }
+  
+  const markdown = convertElement(node, context);
+  return captionText ? `${markdown}\n\n${wrapInline(captionText, '*')}` : markdown;
+}
+
+/**
+ * 转换定义列表
+ * @param {Element} node - dl元素
+ * @param {Object} context - 转换上下文
+ * @returns {string} 术语加粗，每条定义以 ": " 开头
+ */
+function convertDefinitionList(node, context) {
+  const groups = [];
+  
+  Array.from(node.children).forEach(child => {
+    const tag = child.tagName.toLowerCase();
+    if (tag === 'dt') {
+      const term = convertInlineChildren(child, { ...context, strong: true }).trim();
+      groups.push([wrapInline(term, '**')]);
+    } else if (tag === 'dd') {
+      if (groups.length === 0) {
+        groups.push([]);
+      }
+      groups[groups.length - 1].push(`: ${convertElement(child, context).replace(/\s*\n\s*/g, ' ')}`);
+    }
+  });
+  
+  return groups.map(lines => lines.join('\n')).join('\n\n');
+}
+
+/**
+ * 收集并移除文档中的脚注定义
+ * 定义中的返回链接被移除，正文中的引用由 convertLink 转换为 [^label]
+ * @param {Document} doc - DOM文档
+ * @param {Object} context - 转换上下文，记录脚注ID与标签的对应关系
+ * @returns {string} GFM脚注定义，没有脚注时返回空字符串
+ */
+function extractFootnotes(doc, context) {
+  const definitions = [];
+  
+  doc.querySelectorAll(FOOTNOTE_CONTAINERS).forEach(container => {
+    container.querySelectorAll('li[id]').forEach(item => {
+      const label = String(context.footnotes.size + 1);
+      context.footnotes.set(item.id, label);
+      definitions.push({ label, item });
+    });
+  });
+  
+  if (definitions.length === 0) {
+    return '';
+  }
+  
+  // 先登记全部标签再转换，脚注之间的相互引用也能被识别
+  const markdown = definitions.map(({ label, item }) => {
+    item.querySelectorAll(FOOTNOTE_BACKLINKS).forEach(link => link.remove());
+    // 脚注的后续行缩进4格
+    const body = convertElement(item, context)
+      .split('\n')
+      .map((line, index) => (index === 0 || !line ? line : `    ${line}`))
+      .join('\n');
+    return `[^${label}]: ${body}`;
+  });
+  
+  doc.querySelectorAll(FOOTNOTE_CONTAINERS).forEach(container => container.remove());
+  doc.querySelectorAll('hr.footnotes-sep').forEach(hr => hr.remove());
+  
+  return markdown.join('\n');
+}
+
+/**
+ * 解码URL片段中的ID
+ * @param {string} href - 以 # 开头的链接
+ * @returns {string}
+ */
+function decodeFragment(href) {
+  try {
+    return decodeURIComponent(href.slice(1));
+  } catch (error) {
+    return href.slice(1);
+  }
+}
+
+/**
+ * 转换列表，含复选框的列表项输出为GFM任务列表
+ * 列表项的后续行按标记宽度缩进，嵌套列表和多段内容都归属于该项
  * @param {Element} listElement - ul或ol元素
  * @param {boolean} ordered - 是否有序列表
- * @param {number} depth - 嵌套深度
+ * @param {Object} context - 转换上下文
  * @returns {string} Markdown文本
  */
-function convertList(listElement, ordered, depth = 0) {
-  let markdown = '';
+function convertList(listElement, ordered, context) {
   const items = Array.from(listElement.children).filter(child => child.tagName.toLowerCase() === 'li');
+  const start = ordered ? parseInt(listElement.getAttribute('start'), 10) || 1 : 1;
   
-  items.forEach((item, index) => {
-    const indent = '  '.repeat(depth);
-    const marker = ordered ? `${index + 1}.` : '-';
-    const content = convertElement(item, depth + 1).trim();
-    markdown += `${indent}${marker} ${content}\n`;
-  });
-  
-  return markdown;
+  return items.map((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-';
+    const indent = ' '.repeat(marker.length + 1);
+    const checkbox = Array.from(item.querySelectorAll('input[type="checkbox"]'))
+      .find(input => input.closest('li') === item);
+    const task = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+    
+    const content = convertElement(item, { ...context, listItem: true })
+      .split('\n')
+      .map((line, lineIndex) => (lineIndex === 0 || !line ? line : indent + line))
+      .join('\n');
+    
+    return `${marker} ${task}${content}`.trimEnd();
+  }).join('\n');
 }
 
 /**
  * 转换表格
+ * 排版用的表格按普通容器转换；GFM无法表达的表格（多行表头、表头跨行、单元格含列表或代码块）
+ * 以HTML块保留；其余输出GFM表格，跨行/跨列的单元格以空单元格补齐
  * @param {Element} tableElement - table元素
+ * @param {Object} context - 转换上下文
  * @returns {string} Markdown表格
  */
-function convertTable(tableElement) {
-  let markdown = '';
-  
-  const rows = Array.from(tableElement.querySelectorAll('tr'));
+function convertTable(tableElement, context) {
+  const rows = Array.from(tableElement.rows);
   if (rows.length === 0) return '';
   
-  // 处理表头
-  const headerRow = rows[0];
-  const headers = Array.from(headerRow.querySelectorAll('th, td')).map(cell => getTextContent(cell).trim());
+  const grid = buildTableGrid(rows);
+  const columnCount = Math.max(...grid.map(row => row.length));
   
-  if (headers.length > 0) {
-    markdown += '| ' + headers.join(' | ') + ' |\n';
-    markdown += '| ' + headers.map(() => '---').join(' | ') + ' |\n';
+  if (isLayoutTable(tableElement, columnCount)) {
+    return convertElement(tableElement, context);
   }
   
-  // 处理数据行
-  for (let i = 1; i < rows.length; i++) {
-    const cells = Array.from(rows[i].querySelectorAll('td')).map(cell => getTextContent(cell).trim());
-    if (cells.length > 0) {
-      markdown += '| ' + cells.join(' | ') + ' |\n';
+  if (isComplexTable(tableElement, grid)) {
+    return convertTableToHtml(tableElement);
+  }
+  
+  const lines = grid.map(row => {
+    const cells = Array.from({ length: columnCount }, (_, index) => {
+      const slot = row[index];
+      return slot && slot.origin ? convertTableCell(slot.cell, context) : '';
+    });
+    return `| ${cells.join(' | ')} |`;
+  });
+  
+  const alignments = Array.from({ length: columnCount }, (_, index) => getColumnAlignment(grid, index));
+  lines.splice(1, 0, `| ${alignments.join(' | ')} |`);
+  
+  return lines.join('\n');
+}
+
+/**
+ * 按 rowspan/colspan 将表格展开为网格
+ * @param {HTMLTableRowElement[]} rows - 表格行（thead、tbody、tfoot按顺序）
+ * @returns {Array<Array<{cell: Element, origin: boolean}>>} 每个位置对应的单元格，origin 表示单元格起始位置
+ */
+function buildTableGrid(rows) {
+  const grid = rows.map(() => []);
+  
+  rows.forEach((row, rowIndex) => {
+    let columnIndex = 0;
+    
+    Array.from(row.cells).forEach(cell => {
+      while (grid[rowIndex][columnIndex]) {
+        columnIndex++;
+      }
+      
+      const colspan = Math.max(1, cell.colSpan || 1);
+      // rowspan="0" 表示延伸到表格末尾
+      const rowspan = Math.min(cell.rowSpan || rows.length - rowIndex, rows.length - rowIndex);
+      
+      for (let r = 0; r < rowspan; r++) {
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][columnIndex + c] = { cell, origin: r === 0 && c === 0 };
+        }
+      }
+      
+      columnIndex += colspan;
+    });
+  });
+  
+  return grid;
+}
+
+/**
+ * 判断是否为排版用的表格（声明为presentation、嵌套表格或只有一列）
+ * @param {Element} tableElement - table元素
+ * @param {number} columnCount - 列数
+ * @returns {boolean}
+ */
+function isLayoutTable(tableElement, columnCount) {
+  const role = tableElement.getAttribute('role');
+  return role === 'presentation' || role === 'none' ||
+    tableElement.querySelector('table') !== null ||
+    columnCount <= 1;
+}
+
+/**
+ * 判断表格是否超出GFM的表达能力
+ * @param {Element} tableElement - table元素
+ * @param {Array} grid - 表格网格
+ * @returns {boolean}
+ */
+function isComplexTable(tableElement, grid) {
+  if (tableElement.tHead && tableElement.tHead.rows.length > 1) {
+    return true;
+  }
+  
+  // 表头单元格向下跨行
+  if (grid.length > 1 && grid[1].some(slot => slot && grid[0].some(header => header && header.cell === slot.cell))) {
+    return true;
+  }
+  
+  return tableElement.querySelector('pre, ul, ol, blockquote, dl') !== null;
+}
+
+/**
+ * 转换单元格内容为单行，段落和换行以 <br> 连接，转义 |
+ * @param {Element} cell - td或th元素
+ * @param {Object} context - 转换上下文
+ * @returns {string}
+ */
+function convertTableCell(cell, context) {
+  return convertElement(cell, context)
+    .split(/\n+/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('<br>')
+    .replace(/\|/g, '\\|');
+}
+
+/**
+ * 读取列的对齐方式，优先取表头单元格，其次取第一个数据单元格
+ * @param {Array} grid - 表格网格
+ * @param {number} columnIndex - 列序号
+ * @returns {string} GFM分隔行标记
+ */
+function getColumnAlignment(grid, columnIndex) {
+  const markers = { left: ':---', center: ':---:', right: '---:' };
+  
+  for (const row of grid.slice(0, 2)) {
+    const slot = row[columnIndex];
+    if (!slot) {
+      continue;
+    }
+    
+    const align = (slot.cell.getAttribute('align') || slot.cell.style.textAlign || '').toLowerCase();
+    if (markers[align]) {
+      return markers[align];
     }
   }
   
-  return markdown;
+  return '---';
+}
+
+/**
+ * 将表格保留为HTML块，只保留结构相关的属性
+ * @param {Element} tableElement - table元素
+ * @returns {string}
+ */
+function convertTableToHtml(tableElement) {
+  const keptAttributes = ['colspan', 'rowspan', 'align', 'href', 'src', 'alt', 'title'];
+  const table = tableElement.cloneNode(true);
+  
+  [table, ...table.querySelectorAll('*')].forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      if (!keptAttributes.includes(attribute.name)) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+  });
+  
+  // HTML块中不能出现空行
+  return table.outerHTML.replace(/>\s+</g, '><').replace(/\n\s*\n/g, '\n');
 }
 
 /**
@@ -3,14 +3,60 @@
  * 负责在网络不可用时保存笔记请求，并在网络恢复后自动重试
  */
 
+import { STORE_NAME, LATEST_VERSION, runMigrations, backfillItem } from './queue-migrations.js';
+
 const DB_NAME = 'BlinkoOfflineQueue';
-const DB_VERSION = 1;
-const STORE_NAME = 'queue_items';
+const DB_VERSION = LATEST_VERSION;
 const DEFAULT_MAX_QUEUE_SIZE = 100;
 const MAX_RETRY_COUNT = 6;
+const DEFAULT_SUCCESS_RETENTION = 180000; // 3分钟
+
+// 重试调度使用的alarm名称（alarm由浏览器持久化，Service Worker被回收后仍可唤醒）
+export const RETRY_ALARM_NAME = 'retry-queue';
+
+// 队列项租约时长：处理者崩溃后，租约过期的项可被重新领取；处理期间由处理者定期续约
+export const LEASE_DURATION = 2 * 60 * 1000;
+
+// 附件占位符前缀：入队时内容中以占位符引用附件，重试上传后替换为最终URL
+export const ATTACHMENT_PLACEHOLDER_PREFIX = 'blinko-attachment://';
+
+// 队列变化广播消息（跨扩展上下文，如设置页修改后通知Service Worker）
+export const QUEUE_CHANGED_ACTION = 'queue-changed';
 
 let db = null;
 let useFallback = false; // 是否使用Chrome Storage作为降级方案
+const changeListeners = new Set();
+
+/**
+ * 订阅队列变化
+ * 仅接收当前上下文内发生的变化；其他上下文的变化通过 QUEUE_CHANGED_ACTION 消息获得
+ * @param {Function} listener - 回调 (change) => void，change 为 {type, id}
+ * @returns {Function} 取消订阅函数
+ */
+export function onQueueChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * 通知队列变化
+ * @param {string} type - 变化类型 ('enqueue', 'update', 'dequeue', 'clear')
+ * @param {number} [id] - 队列项ID
+ */
+function emitQueueChange(type, id) {
+  const change = { type, id };
+
+  for (const listener of changeListeners) {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('[offline-queue] Change listener error:', error);
+    }
+  }
+
+  // 没有其他上下文在监听时sendMessage会reject，忽略即可
+  chrome.runtime.sendMessage({ action: QUEUE_CHANGED_ACTION, change }).catch(() => {});
+}
 
 /**
  * 初始化IndexedDB数据库
@@ -31,29 +77,26 @@ export async function initDB() {
         resolve(null);
       };
 
-      request.onsuccess = () => {
+      request.onsuccess = async () => {
         db = request.result;
         console.log('[offline-queue] IndexedDB opened successfully');
+
+        // 其他上下文（如更新后的Service Worker）升级数据库时释放连接，避免阻塞升级
+        db.onversionchange = () => {
+          request.result.close();
+          db = null;
+        };
+
+        await importFallbackItems(db);
         resolve(db);
       };
 
       request.onupgradeneeded = (event) => {
-        const database = event.target.result;
-        
-        // 创建对象存储
-        if (!database.objectStoreNames.contains(STORE_NAME)) {
-          const objectStore = database.createObjectStore(STORE_NAME, { 
-            keyPath: 'id', 
-            autoIncrement: true 
-          });
-          
-          // 创建索引
-          objectStore.createIndex('status', 'status', { unique: false });
-          objectStore.createIndex('createdAt', 'createdAt', { unique: false });
-          objectStore.createIndex('retryCount', 'retryCount', { unique: false });
-          
-          console.log('[offline-queue] Object store created with indexes');
-        }
+        runMigrations(request.result, request.transaction, event.oldVersion);
+      };
+
+      request.onblocked = () => {
+        console.warn('[offline-queue] IndexedDB upgrade blocked by another open connection');
       };
     });
   } catch (error) {
@@ -63,9 +106,58 @@ export async function initDB() {
   }
 }
 
+/**
+ * 将滞留在降级存储（chrome.storage）中的队列项导回IndexedDB
+ * 先移除降级存储再写入，避免多个上下文同时导入造成重复；写入失败时恢复降级存储
+ * @param {IDBDatabase} database - 已打开的数据库
+ * @returns {Promise<number>} 导入的项数
+ */
+async function importFallbackItems(database) {
+  try {
+    const result = await chrome.storage.local.get('offline_queue_fallback');
+    const stranded = result.offline_queue_fallback || [];
+
+    if (stranded.length === 0) {
+      return 0;
+    }
+
+    await chrome.storage.local.remove('offline_queue_fallback');
+
+    const imported = await new Promise((resolve) => {
+      const transaction = database.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+
+      // 降级模式使用浮点ID，导入时改用自增ID
+      for (const item of stranded) {
+        const queueItem = backfillItem(item);
+        delete queueItem.id;
+        store.add(queueItem);
+      }
+
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => {
+        console.error('[offline-queue] Failed to import fallback items:', transaction.error);
+        resolve(false);
+      };
+    });
+
+    if (!imported) {
+      await chrome.storage.local.set({ offline_queue_fallback: stranded });
+      return 0;
+    }
+
+    console.log('[offline-queue] Imported fallback items into IndexedDB:', stranded.length);
+    emitQueueChange('enqueue');
+    return stranded.length;
+  } catch (error) {
+    console.error('[offline-queue] Import fallback items error:', error);
+    return 0;
+  }
+}
+
 /**
  * 添加项到队列
- * @param {Object} item - 队列项 {content, type, tags, url, title, metadata}
+ * @param {Object} item - 队列项 {content, type, tags, url, title, idempotencyKey, metadata}
  * @returns {Promise<{success: boolean, id?: number, message?: string}>}
  */
 export async function enqueue(item) {
@@ -90,6 +182,8 @@ export async function enqueue(item) {
       };
     }
 
+    const settings = await getQueueSettings();
+    const now = Date.now();
     const queueItem = {
       content: item.content,
       type: item.type || 0,
@@ -97,38 +191,54 @@ export async function enqueue(item) {
       url: item.url || '',
       title: item.title || '',
       status: 'pending',
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
+      createdAt: now,
+      updatedAt: now,
       retryCount: 0,
+      nextRetryAt: now + calculateRetryDelay(0, settings.retryStrategy),
+      idempotencyKey: item.idempotencyKey || '',
+      attachments: item.attachments || [],
+      // 任务类型：'note' 直接提交；'summarize' 先按模板AI总结，再附加footer提交
+      jobType: item.jobType || 'note',
+      templateId: item.templateId || '',
+      footer: item.footer || '',
       lastError: '',
       metadata: item.metadata || {}
     };
 
+    let result;
+
     if (useFallback) {
-      return await enqueueFallback(queueItem);
+      result = await enqueueFallback(queueItem);
+    } else {
+      await initDB();
+      
+      if (!db) {
+        result = await enqueueFallback(queueItem);
+      } else {
+        result = await new Promise((resolve) => {
+          const transaction = db.transaction([STORE_NAME], 'readwrite');
+          const store = transaction.objectStore(STORE_NAME);
+          const request = store.add(queueItem);
+
+          request.onsuccess = () => {
+            console.log('[offline-queue] Item enqueued:', request.result);
+            resolve({ success: true, id: request.result });
+          };
+
+          request.onerror = () => {
+            console.error('[offline-queue] Failed to enqueue:', request.error);
+            resolve({ success: false, message: '入队失败: ' + request.error });
+          };
+        });
+      }
     }
 
-    await initDB();
-    
-    if (!db) {
-      return await enqueueFallback(queueItem);
+    if (result.success) {
+      emitQueueChange('enqueue', result.id);
+      await scheduleRetryAlarm();
     }
 
-    return new Promise((resolve) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.add(queueItem);
-
-      request.onsuccess = () => {
-        console.log('[offline-queue] Item enqueued:', request.result);
-        resolve({ success: true, id: request.result });
-      };
-
-      request.onerror = () => {
-        console.error('[offline-queue] Failed to enqueue:', request.error);
-        resolve({ success: false, message: '入队失败: ' + request.error });
-      };
-    });
+    return result;
   } catch (error) {
     console.error('[offline-queue] Enqueue error:', error);
     return { success: false, message: '入队失败: ' + error.message };
@@ -137,6 +247,7 @@ export async function enqueue(item) {
 
 /**
  * 使用Chrome Storage作为降级方案入队
+ * Chrome Storage无法保存Blob，附件会以DataURL内联到内容中
  */
 async function enqueueFallback(item) {
   try {
@@ -148,6 +259,12 @@ async function enqueueFallback(item) {
       return { success: false, message: '队列已满（降级模式限制50条）' };
     }
 
+    for (const attachment of item.attachments) {
+      const dataUrl = await blobToDataUrl(attachment.blob);
+      item.content = item.content.split(attachment.placeholder).join(dataUrl);
+    }
+    item.attachments = [];
+
     item.id = Date.now() + Math.random(); // 简单ID生成
     queue.push(item);
     
@@ -160,12 +277,45 @@ async function enqueueFallback(item) {
   }
 }
 
+/**
+ * 创建附件占位符
+ * @returns {string}
+ */
+export function createAttachmentPlaceholder() {
+  return `${ATTACHMENT_PLACEHOLDER_PREFIX}${crypto.randomUUID()}`;
+}
+
+/**
+ * 将Blob转换为DataURL（Service Worker与页面上下文通用）
+ * @param {Blob} blob - Blob对象
+ * @returns {Promise<string>}
+ */
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const chunkSize = 0x8000;
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
 /**
  * 从队列移除项
  * @param {number} id - 队列项ID
  * @returns {Promise<boolean>}
  */
 export async function dequeue(id) {
+  const removed = await removeItem(id);
+  if (removed) {
+    emitQueueChange('dequeue', id);
+  }
+  return removed;
+}
+
+async function removeItem(id) {
   try {
     if (useFallback) {
       return await dequeueFallback(id);
@@ -283,6 +433,14 @@ async function getQueueFallback(statusFilter) {
  * @returns {Promise<boolean>}
  */
 export async function updateItem(id, updates) {
+  const updated = await writeItem(id, updates);
+  if (updated) {
+    emitQueueChange('update', id);
+  }
+  return updated;
+}
+
+async function writeItem(id, updates) {
   try {
     if (useFallback) {
       return await updateItemFallback(id, updates);
@@ -356,24 +514,24 @@ async function updateItemFallback(id, updates) {
 
 /**
  * 清理队列
+ * 成功项按队列设置中的 successRetention 保留时长清理
  * @param {Object} options - 清理选项 {olderThan, status}
  * @returns {Promise<number>} 清理的项数
  */
 export async function cleanup(options = {}) {
   try {
     const queue = await getQueue('all');
+    const settings = await getQueueSettings();
+    const successRetention = settings.successRetention ?? DEFAULT_SUCCESS_RETENTION;
     const now = Date.now();
     let removed = 0;
 
     for (const item of queue) {
       let shouldRemove = false;
 
-      // 清理成功项（3分钟后）
-      if (item.status === 'success') {
-        const threeMinutes = 3 * 60 * 1000;
-        if (now - item.updatedAt > threeMinutes) {
-          shouldRemove = true;
-        }
+      // 清理超过保留时长的成功项
+      if (item.status === 'success' && now - item.updatedAt >= successRetention) {
+        shouldRemove = true;
       }
 
       // 清理指定状态
@@ -400,6 +558,257 @@ export async function cleanup(options = {}) {
   }
 }
 
+/**
+ * 判断队列项当前是否可被领取
+ * @param {Object} item - 队列项
+ * @param {number} now - 当前时间戳
+ * @param {boolean} ignoreSchedule - 是否忽略计划重试时间
+ * @returns {boolean}
+ */
+function isLeasable(item, now, ignoreSchedule = false) {
+  // 'retrying' 表示已被租用；租约过期说明处理者已崩溃或被回收
+  if (item.status === 'retrying') {
+    return (item.leaseExpiresAt || 0) <= now;
+  }
+
+  if (item.status !== 'pending') {
+    return false;
+  }
+
+  return ignoreSchedule || (item.nextRetryAt || 0) <= now;
+}
+
+/**
+ * 原子地租用可处理的队列项
+ * 读取与标记在同一个IndexedDB readwrite事务中完成，同一项只会被一个处理者领取
+ * @param {string} owner - 租约持有者ID
+ * @param {Object} options - {limit, ignoreSchedule, excludeIds, leaseDuration}
+ * @returns {Promise<Array>} 已租用的队列项
+ */
+export async function leaseItems(owner, options = {}) {
+  const {
+    limit = 1,
+    ignoreSchedule = false,
+    excludeIds = [],
+    leaseDuration = LEASE_DURATION
+  } = options;
+
+  const lease = (item, now) => Object.assign(item, {
+    status: 'retrying',
+    leaseOwner: owner,
+    leaseExpiresAt: now + leaseDuration,
+    updatedAt: now
+  });
+
+  try {
+    if (!useFallback) {
+      await initDB();
+    }
+
+    if (useFallback || !db) {
+      return await leaseItemsFallback(owner, limit, ignoreSchedule, excludeIds, lease);
+    }
+
+    return new Promise((resolve) => {
+      const leased = [];
+      const now = Date.now();
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || leased.length >= limit) {
+          return;
+        }
+
+        const item = cursor.value;
+        if (!excludeIds.includes(item.id) && isLeasable(item, now, ignoreSchedule)) {
+          cursor.update(lease(item, now));
+          leased.push(item);
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => {
+        if (leased.length > 0) {
+          console.log('[offline-queue] Items leased:', leased.map(item => item.id), 'by', owner);
+          leased.forEach(item => emitQueueChange('update', item.id));
+        }
+        resolve(leased);
+      };
+
+      transaction.onerror = () => {
+        console.error('[offline-queue] Failed to lease items:', transaction.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.error('[offline-queue] Lease items error:', error);
+    return [];
+  }
+}
+
+async function leaseItemsFallback(owner, limit, ignoreSchedule, excludeIds, lease) {
+  try {
+    const result = await chrome.storage.local.get('offline_queue_fallback');
+    const queue = result.offline_queue_fallback || [];
+    const now = Date.now();
+    const leased = [];
+
+    for (const item of queue) {
+      if (leased.length >= limit) {
+        break;
+      }
+      if (!excludeIds.includes(item.id) && isLeasable(item, now, ignoreSchedule)) {
+        leased.push({ ...lease(item, now) });
+      }
+    }
+
+    if (leased.length > 0) {
+      await chrome.storage.local.set({ offline_queue_fallback: queue });
+      leased.forEach(item => emitQueueChange('update', item.id));
+    }
+    return leased;
+  } catch (error) {
+    console.error('[offline-queue] Fallback lease failed:', error);
+    return [];
+  }
+}
+
+/**
+ * 结束租约并写入处理结果
+ * 仅当租约仍由owner持有时才会写入，避免过期的处理者覆盖新结果
+ * @param {number} id - 队列项ID
+ * @param {string} owner - 租约持有者ID
+ * @param {Object} updates - 需要更新的字段
+ * @returns {Promise<boolean>}
+ */
+export async function completeLease(id, owner, updates) {
+  return updateLeasedItem(id, owner, item => Object.assign(item, updates, {
+    leaseOwner: null,
+    leaseExpiresAt: 0,
+    updatedAt: Date.now()
+  }), true);
+}
+
+/**
+ * 续约：将租约过期时间延后 leaseDuration
+ * 处理耗时可能超过租约时长（AI总结、附件上传、提交笔记），处理期间需定期续约，避免被其他处理者重复领取
+ * @param {number} id - 队列项ID
+ * @param {string} owner - 租约持有者ID
+ * @param {number} leaseDuration - 续约时长
+ * @returns {Promise<boolean>} 租约已过期并被其他处理者领取时返回false
+ */
+export async function renewLease(id, owner, leaseDuration = LEASE_DURATION) {
+  return updateLeasedItem(id, owner, item => Object.assign(item, {
+    leaseExpiresAt: Date.now() + leaseDuration
+  }), false);
+}
+
+/**
+ * 在租约仍由owner持有时修改队列项（读取、校验与写入在同一个事务中完成）
+ * @param {number} id - 队列项ID
+ * @param {string} owner - 租约持有者ID
+ * @param {Function} mutate - 修改函数 (item) => item
+ * @param {boolean} notify - 是否广播队列变化
+ * @returns {Promise<boolean>} 是否已写入
+ */
+async function updateLeasedItem(id, owner, mutate, notify) {
+  try {
+    if (!useFallback) {
+      await initDB();
+    }
+
+    if (useFallback || !db) {
+      const result = await chrome.storage.local.get('offline_queue_fallback');
+      const queue = result.offline_queue_fallback || [];
+      const item = queue.find(i => i.id === id);
+      if (!item || item.leaseOwner !== owner) {
+        console.warn('[offline-queue] Lease lost (fallback):', id);
+        return false;
+      }
+      mutate(item);
+      await chrome.storage.local.set({ offline_queue_fallback: queue });
+      if (notify) {
+        emitQueueChange('update', id);
+      }
+      return true;
+    }
+
+    return new Promise((resolve) => {
+      let updated = false;
+      const transaction = db.transaction([STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const getRequest = store.get(id);
+
+      getRequest.onsuccess = () => {
+        const item = getRequest.result;
+        if (!item || item.leaseOwner !== owner) {
+          console.warn('[offline-queue] Lease lost:', id);
+          return;
+        }
+        store.put(mutate(item));
+        updated = true;
+      };
+
+      transaction.oncomplete = () => {
+        if (updated && notify) {
+          emitQueueChange('update', id);
+        }
+        resolve(updated);
+      };
+      transaction.onerror = () => {
+        console.error('[offline-queue] Failed to update leased item:', transaction.error);
+        resolve(false);
+      };
+    });
+  } catch (error) {
+    console.error('[offline-queue] Update leased item error:', error);
+    return false;
+  }
+}
+
+/**
+ * 获取最早的计划重试时间
+ * 已租用的项以租约过期时间计算（届时若仍未完成即可被重新领取）
+ * @returns {Promise<number|null>} 时间戳，没有待重试项时返回null
+ */
+export async function getNextRetryTime() {
+  const queue = await getQueue('all');
+  const times = queue
+    .filter(item => item.status === 'pending' || item.status === 'retrying')
+    .map(item => item.status === 'retrying' ? (item.leaseExpiresAt || 0) : (item.nextRetryAt || 0));
+
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * 按最早的计划重试时间设置重试alarm
+ * 可在任意扩展上下文调用（popup、设置页、Service Worker）
+ * 注意：Chrome会将alarm的最短延迟限制为30秒，更短的延迟需由Service Worker内的定时器补充
+ * @returns {Promise<number|null>} 计划的重试时间
+ */
+export async function scheduleRetryAlarm() {
+  try {
+    const nextRetryAt = await getNextRetryTime();
+
+    if (nextRetryAt === null) {
+      await chrome.alarms.clear(RETRY_ALARM_NAME);
+      return null;
+    }
+
+    await chrome.alarms.create(RETRY_ALARM_NAME, {
+      when: Math.max(nextRetryAt, Date.now())
+    });
+    console.log('[offline-queue] Retry alarm scheduled at:', new Date(nextRetryAt).toISOString());
+    return nextRetryAt;
+  } catch (error) {
+    console.error('[offline-queue] Failed to schedule retry alarm:', error);
+    return null;
+  }
+}
+
 /**
  * 获取队列大小
  * @returns {Promise<number>}
@@ -441,27 +850,24 @@ async function getMaxQueueSize() {
 
 /**
  * 获取队列设置
+ * 已保存的设置会与默认值合并，旧版本保存的设置也能获得新增字段
  * @returns {Promise<Object>}
  */
 export async function getQueueSettings() {
+  const defaults = {
+    maxSize: 100,
+    autoRetry: true,
+    retryStrategy: 'standard', // 'conservative', 'standard', 'aggressive'
+    successRetention: DEFAULT_SUCCESS_RETENTION, // 成功项保留时长（毫秒）
+    failureNotification: 'final' // 'disabled', 'final', 'every'
+  };
+
   try {
     const result = await chrome.storage.local.get('offline_queue_settings');
-    return result.offline_queue_settings || {
-      maxSize: 100,
-      autoRetry: true,
-      retryStrategy: 'standard', // 'conservative', 'standard', 'aggressive'
-      successRetention: 180000, // 3分钟
-      failureNotification: 'final' // 'disabled', 'final', 'every'
-    };
+    return { ...defaults, ...result.offline_queue_settings };
   } catch (error) {
     console.error('[offline-queue] Failed to get settings:', error);
-    return {
-      maxSize: 100,
-      autoRetry: true,
-      retryStrategy: 'standard',
-      successRetention: 180000,
-      failureNotification: 'final'
-    };
+    return defaults;
   }
 }
 
@@ -520,6 +926,14 @@ export function shouldRetry(retryCount, strategy = 'standard') {
  * @returns {Promise<boolean>}
  */
 export async function clearQueue() {
+  const cleared = await clearItems();
+  if (cleared) {
+    emitQueueChange('clear');
+  }
+  return cleared;
+}
+
+async function clearItems() {
   try {
     if (useFallback) {
       await chrome.storage.local.remove('offline_queue_fallback');
@@ -561,7 +975,16 @@ export async function clearQueue() {
 export async function exportQueue() {
   try {
     const queue = await getQueue('all');
-    return JSON.stringify(queue, null, 2);
+    // Blob无法序列化，附件只导出描述信息
+    const exported = queue.map(item => ({
+      ...item,
+      attachments: (item.attachments || []).map(({ blob, ...attachment }) => ({
+        ...attachment,
+        size: blob.size,
+        mimeType: blob.type
+      }))
+    }));
+    return JSON.stringify(exported, null, 2);
   } catch (error) {
     console.error('[offline-queue] Export queue error:', error);
     return '[]';
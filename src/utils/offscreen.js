@@ -0,0 +1,65 @@
+/**
+ * Offscreen文档客户端
+ * Service Worker中没有DOMParser，需要DOM的处理转发到offscreen文档执行
+ */
+
+import { htmlToMarkdown } from './html-to-markdown.js';
+
+const OFFSCREEN_PATH = 'src/offscreen.html';
+
+let creating = null;
+
+/**
+ * 确保offscreen文档已创建（同一时间只允许存在一个）
+ */
+async function ensureOffscreenDocument() {
+  const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [offscreenUrl]
+  });
+
+  if (contexts.length > 0) {
+    return;
+  }
+
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Convert extracted page HTML to Markdown'
+    }).finally(() => {
+      creating = null;
+    });
+  }
+
+  await creating;
+}
+
+/**
+ * 将HTML转换为Markdown，可在任意扩展上下文调用
+ * 有DOM的页面直接转换；Service Worker中转发到offscreen文档，输出与 htmlToMarkdown 一致
+ * @param {string} html - HTML字符串
+ * @param {boolean} includeImages - 是否包含图片（默认true）
+ * @returns {Promise<Object>} { markdown: string, images: Array }
+ */
+export async function htmlToMarkdownAsync(html, includeImages = true) {
+  if (typeof DOMParser !== 'undefined') {
+    return htmlToMarkdown(html, includeImages);
+  }
+
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'html-to-markdown',
+    html,
+    includeImages
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.message || 'HTML转Markdown失败');
+  }
+
+  return response.result;
+}
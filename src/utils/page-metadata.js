@@ -0,0 +1,64 @@
+/**
+ * 网页元数据格式化
+ * 将content script提取的元数据（作者、发布日期、站点名等）用于笔记来源行和模板变量
+ */
+
+/**
+ * 生成笔记末尾的来源行，附带作者、站点名和发布日期
+ * @param {string} title - 页面标题
+ * @param {string} url - 页面URL，元数据中有规范URL时优先使用
+ * @param {Object} metadata - 页面元数据 {author, siteName, publishedAt, canonicalUrl, ...}
+ * @returns {string} 如 "来源：[标题](url) · 作者 · 站点 · 2024-05-01"
+ */
+export function formatSourceLine(title, url, metadata = {}) {
+  const link = `来源：[${title}](${metadata.canonicalUrl || url})`;
+  const details = [
+    metadata.author,
+    metadata.siteName,
+    formatPublishDate(metadata.publishedAt)
+  ].filter(Boolean);
+
+  return details.length > 0 ? `${link} · ${details.join(' · ')}` : link;
+}
+
+/**
+ * 生成模板可用的变量
+ * @param {string} title - 页面标题
+ * @param {string} url - 页面URL
+ * @param {Object} metadata - 页面元数据
+ * @returns {Object} 变量名 -> 值，模板中以 {{变量名}} 引用
+ */
+export function getTemplateVariables(title, url, metadata = {}) {
+  return {
+    ...metadata,
+    title: title || metadata.title || '',
+    url: url || '',
+    publishedAt: formatPublishDate(metadata.publishedAt)
+  };
+}
+
+/**
+ * 将发布日期格式化为 YYYY-MM-DD
+ * @param {string} value - ISO日期或其他可解析的日期字符串
+ * @returns {string} 无法解析时原样返回
+ */
+export function formatPublishDate(value) {
+  if (!value) {
+    return '';
+  }
+
+  // 已是 YYYY-MM-DD 开头的日期直接截取，避免时区换算改变日期
+  const isoDate = /^\d{4}-\d{2}-\d{2}/.exec(value);
+  if (isoDate) {
+    return isoDate[0];
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -0,0 +1,92 @@
+/**
+ * 离线队列数据库迁移
+ * 按版本号顺序执行升级步骤（建表、添加索引、回填字段），数据库版本即最后一个迁移的版本号
+ */
+
+export const STORE_NAME = 'queue_items';
+
+/**
+ * 迁移步骤，按版本号升序排列；新增字段或索引时追加新的步骤，不要修改已发布的步骤
+ * migrate(database, transaction) 在 onupgradeneeded 的 versionchange 事务中执行
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: '创建队列存储及基础索引',
+    migrate(database) {
+      const store = database.createObjectStore(STORE_NAME, {
+        keyPath: 'id',
+        autoIncrement: true
+      });
+
+      store.createIndex('status', 'status', { unique: false });
+      store.createIndex('createdAt', 'createdAt', { unique: false });
+      store.createIndex('retryCount', 'retryCount', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: '添加重试调度与幂等ID索引，回填持久化调度、租约、附件与任务类型字段',
+    migrate(database, transaction) {
+      const store = transaction.objectStore(STORE_NAME);
+
+      store.createIndex('nextRetryAt', 'nextRetryAt', { unique: false });
+      store.createIndex('idempotencyKey', 'idempotencyKey', { unique: false });
+
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          return;
+        }
+
+        cursor.update(backfillItem(cursor.value));
+        cursor.continue();
+      };
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 执行从旧版本升级到最新版本所需的迁移步骤
+ * @param {IDBDatabase} database - 数据库
+ * @param {IDBTransaction} transaction - onupgradeneeded 的 versionchange 事务
+ * @param {number} oldVersion - 升级前的版本号（新建数据库时为0）
+ */
+export function runMigrations(database, transaction, oldVersion) {
+  const pending = MIGRATIONS.filter(step => step.version > oldVersion);
+
+  for (const step of pending) {
+    console.log(`[queue-migrations] Migrating to v${step.version}: ${step.description}`);
+    step.migrate(database, transaction);
+  }
+}
+
+/**
+ * 为旧版本的队列项补齐当前版本需要的字段
+ * 也用于将降级存储（chrome.storage）中的队列项导回IndexedDB
+ * @param {Object} item - 队列项
+ * @returns {Object} 补齐字段后的队列项
+ */
+export function backfillItem(item) {
+  const backfilled = {
+    idempotencyKey: '',
+    attachments: [],
+    jobType: 'note',
+    templateId: '',
+    footer: '',
+    ...item,
+    nextRetryAt: item.nextRetryAt ?? item.updatedAt ?? item.createdAt ?? Date.now(),
+    leaseOwner: null,
+    leaseExpiresAt: 0
+  };
+
+  // 旧版本在内存中调度重试，残留的 'retrying' 状态已没有处理者
+  if (backfilled.status === 'retrying') {
+    backfilled.status = 'pending';
+  }
+
+  return backfilled;
+}
@@ -0,0 +1,150 @@
+/**
+ * 离线队列处理器
+ * 以租约方式领取队列项，并以有限并发处理，保证同一项只会被一个处理者重试
+ */
+
+import { leaseItems, completeLease, renewLease, LEASE_DURATION } from './offline-queue.js';
+
+const DEFAULT_CONCURRENCY = 3;
+// 处理期间的续约间隔，远小于租约时长，单次续约失败前仍有余量
+const LEASE_RENEW_INTERVAL = LEASE_DURATION / 4;
+
+let activeRun = null;
+let rerunOptions = null;
+
+/**
+ * 处理队列（单飞）
+ * 同一上下文内已有处理在进行时不会并发启动新的处理，而是在当前处理结束后补跑一次
+ * @param {Function} handler - 处理函数 (item, lease) => Promise<Object>，返回需写回队列项的字段；
+ *   lease.renew() 续约并返回是否仍持有租约，提交等不可重复的步骤前应先确认
+ * @param {Object} options - {concurrency, ignoreSchedule}
+ * @returns {Promise<Array<{id: number, status: string}>>} 本次（含补跑）处理结果
+ */
+export function runQueueProcessor(handler, options = {}) {
+  if (activeRun) {
+    // 记录补跑请求，避免遗漏在处理期间新到期的项
+    rerunOptions = mergeOptions(rerunOptions, options);
+    console.log('[queue-processor] Run in progress, rerun requested');
+    return activeRun;
+  }
+
+  activeRun = (async () => {
+    const results = [];
+    let runOptions = options;
+
+    try {
+      while (runOptions) {
+        rerunOptions = null;
+        results.push(...await drainQueue(handler, runOptions));
+        runOptions = rerunOptions;
+      }
+    } finally {
+      activeRun = null;
+      rerunOptions = null;
+    }
+
+    return results;
+  })();
+
+  return activeRun;
+}
+
+/**
+ * 合并补跑选项
+ * @param {Object|null} current - 已记录的选项
+ * @param {Object} next - 新请求的选项
+ * @returns {Object}
+ */
+function mergeOptions(current, next) {
+  if (!current) {
+    return { ...next };
+  }
+
+  return {
+    ...current,
+    ...next,
+    ignoreSchedule: Boolean(current.ignoreSchedule || next.ignoreSchedule)
+  };
+}
+
+/**
+ * 以有限并发处理所有可领取的队列项
+ * 每个worker逐个领取，单次处理中每项最多处理一次
+ * @param {Function} handler - 处理函数
+ * @param {Object} options - {concurrency, ignoreSchedule}
+ * @returns {Promise<Array<{id: number, status: string}>>}
+ */
+async function drainQueue(handler, options) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const owner = crypto.randomUUID();
+  const processedIds = [];
+  const results = [];
+
+  const worker = async () => {
+    for (;;) {
+      const [item] = await leaseItems(owner, {
+        limit: 1,
+        ignoreSchedule: options.ignoreSchedule,
+        excludeIds: processedIds
+      });
+
+      if (!item) {
+        return;
+      }
+
+      processedIds.push(item.id);
+
+      const lease = keepLease(item.id, owner);
+      let updates;
+      try {
+        updates = await handler(item, lease);
+      } catch (error) {
+        console.error(`[queue-processor] Handler failed for item ${item.id}:`, error);
+        updates = { status: 'failed', lastError: error.message };
+      } finally {
+        lease.stop();
+      }
+
+      // 租约已被其他处理者领取，结果交由新的持有者写入
+      if (!lease.held) {
+        console.warn(`[queue-processor] Lease lost for item ${item.id}, result discarded`);
+        continue;
+      }
+
+      await completeLease(item.id, owner, updates);
+      results.push({ id: item.id, status: updates.status });
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  if (results.length > 0) {
+    console.log(`[queue-processor] Processed ${results.length} items`);
+  }
+
+  return results;
+}
+
+/**
+ * 处理期间定期续约
+ * @param {number} id - 队列项ID
+ * @param {string} owner - 租约持有者ID
+ * @returns {{held: boolean, renew: Function, stop: Function}} held 为false表示租约已丢失，不再续约
+ */
+function keepLease(id, owner) {
+  const lease = {
+    held: true,
+    async renew() {
+      if (lease.held) {
+        lease.held = await renewLease(id, owner);
+      }
+      return lease.held;
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+
+  const timer = setInterval(() => lease.renew(), LEASE_RENEW_INTERVAL);
+  return lease;
+}
@@ -7,6 +7,42 @@
 import { AwsClient } from './aws4fetch.js';
 import { t } from './i18n.js';
 
+// 图片优化的默认配置：maxWidth/maxHeight/maxBytes 为0表示不限制
+// 默认保持原格式，转换为WebP等格式需要用户在设置中主动选择
+export const DEFAULT_IMAGE_OPTIMIZATION = {
+  enabled: true,
+  format: 'original', // 'webp' | 'avif' | 'jpeg' | 'original'（保持原格式）
+  quality: 0.85,
+  maxWidth: 2560,
+  maxHeight: 0,
+  maxBytes: 1024 * 1024
+};
+
+// 不重新编码的格式：GIF可能是动图，SVG是矢量图
+const PASSTHROUGH_TYPES = ['image/gif', 'image/svg+xml'];
+// 可由canvas编码的原格式（format为'original'时使用）
+const ENCODABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// 超出体积预算时每次降低的质量、质量下限及最多尝试次数
+const QUALITY_STEP = 0.15;
+const MIN_QUALITY = 0.4;
+const MAX_BUDGET_ATTEMPTS = 6;
+// 保留原图时需要去除的元数据：PNG的EXIF/文本/时间块，WebP的EXIF/XMP块，JPEG的EXIF/XMP（APP1）、IPTC（APP13）段和注释
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe];
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+// WebP VP8X块标志位中表示含有EXIF、XMP的位
+const VP8X_METADATA_FLAGS = 0x08 | 0x04;
+
+let avifSupport = null;
+
+// 已上传对象的本地索引（对象URL -> 记录时间），命中时无需再发HEAD请求
+const OBJECT_INDEX_KEY = 's3_object_index';
+const MAX_OBJECT_INDEX_SIZE = 5000;
+
+// 单次PutObject的超时（含aws4fetch对5xx的自动重试），避免离线队列的处理长时间挂起
+const UPLOAD_TIMEOUT = 60 * 1000;
+let objectIndexWrite = Promise.resolve();
+
 /**
  * 验证S3配置
  * 使用 AWS Signature V4 签名和 HeadBucket API
@@ -83,23 +119,25 @@ export async function validateS3Config(config) {
 
 /**
  * 上传单张图片到S3
- * 使用 AWS Signature V4 签名和 PutObject API
+ * 使用 AWS Signature V4 签名和 PutObject API；对象键为图片内容的哈希，已存在的对象不再重复上传
  * @param {Blob} imageBlob - 图片Blob对象
  * @param {string} filename - 文件名
- * @param {Object} s3Config - S3配置 (包含accessKey, secretKey, endpoint, region, bucket, cdn, customPath, acl, presignedExpiry)
- * @returns {Promise<{success: boolean, url?: string, message?: string}>}
+ * @param {Object} s3Config - S3配置 (包含accessKey, secretKey, endpoint, region, bucket, cdn, customPath, acl, presignedExpiry, optimization)
+ * @returns {Promise<{success: boolean, url?: string, message?: string, originalSize?: number, uploadedSize?: number, deduplicated?: boolean}>}
  */
 export async function uploadImage(imageBlob, filename, s3Config) {
   try {
     const { accessKey, secretKey, endpoint, region, bucket, cdn, customPath, acl, presignedExpiry } = s3Config;
     
-    // 生成唯一文件名
-    const timestamp = Date.now();
-    const randomStr = Math.random().toString(36).substring(2, 8);
-    const ext = filename.split('.').pop() || 'jpg';
+    // 上传前压缩图片，重新编码后扩展名随格式变化
+    const body = await optimizeImage(imageBlob, s3Config.optimization);
+    
+    // 以内容的SHA-256作为文件名，相同的图片只存储一份
+    const hash = await hashBlob(body);
+    const ext = getObjectExtension(body.type, filename);
     const key = customPath 
-      ? `${customPath}/${timestamp}-${randomStr}.${ext}`
-      : `${timestamp}-${randomStr}.${ext}`;
+      ? `${customPath}/${hash}.${ext}`
+      : `${hash}.${ext}`;
     
     // 创建 AWS 客户端
     const aws = new AwsClient({
@@ -109,10 +147,24 @@ export async function uploadImage(imageBlob, filename, s3Config) {
       service: 's3'
     });
     
-    // 构建 PutObject 请求
     const url = `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+    
+    // 本地索引或HEAD请求确认对象已存在时，直接复用
+    if (await isObjectIndexed(url) || await objectExists(aws, url)) {
+      await addToObjectIndex(url);
+      return {
+        success: true,
+        url: await generateS3Url(bucket, key, s3Config),
+        message: t('s3_success_deduplicated'),
+        originalSize: imageBlob.size,
+        uploadedSize: body.size,
+        deduplicated: true
+      };
+    }
+    
+    // 构建 PutObject 请求
     const headers = {
-      'Content-Type': imageBlob.type || 'image/jpeg'
+      'Content-Type': body.type || 'image/jpeg'
     };
     
     // 公开模式设置ACL header
@@ -120,11 +172,19 @@ export async function uploadImage(imageBlob, filename, s3Config) {
       headers['x-amz-acl'] = 'public-read';
     }
     
-    const response = await aws.fetch(url, {
-      method: 'PUT',
-      body: imageBlob,
-      headers: headers
-    });
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), UPLOAD_TIMEOUT);
+    let response;
+    try {
+      response = await aws.fetch(url, {
+        method: 'PUT',
+        body: body,
+        headers: headers,
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
     
     if (!response.ok) {
       if (response.status === 403) {
@@ -135,18 +195,26 @@ export async function uploadImage(imageBlob, filename, s3Config) {
       throw new Error(`上传失败: HTTP ${response.status}`);
     }
     
+    await addToObjectIndex(url);
+    
     // 生成访问URL
     const imageUrl = await generateS3Url(bucket, key, s3Config);
     
     return {
       success: true,
       url: imageUrl,
-      message: t('s3_success_uploaded')
+      message: t('s3_success_uploaded'),
+      originalSize: imageBlob.size,
+      uploadedSize: body.size
     };
     
   } catch (error) {
     console.error('图片上传失败', error);
     
+    if (error.name === 'AbortError') {
+      return { success: false, message: t('error_timeout') };
+    }
+    
     if (error.name === 'TypeError' && error.message.includes('fetch')) {
       return { success: false, message: t('s3_error_uploadFailed') };
     }
@@ -158,35 +226,482 @@ export async function uploadImage(imageBlob, filename, s3Config) {
   }
 }
 
+/**
+ * 计算Blob内容的SHA-256
+ * @param {Blob} blob
+ * @returns {Promise<string>} 十六进制哈希
+ */
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 通过HEAD请求检查对象是否已存在
+ * @param {AwsClient} aws - 已签名的客户端
+ * @param {string} url - 对象URL
+ * @returns {Promise<boolean>} 请求失败时返回false（按不存在处理，继续上传）
+ */
+async function objectExists(aws, url) {
+  try {
+    const response = await aws.fetch(url, { method: 'HEAD' });
+    return response.ok;
+  } catch (error) {
+    console.warn('S3 HEAD请求失败', error);
+    return false;
+  }
+}
+
+/**
+ * 读取已上传对象的本地索引
+ * @returns {Promise<Object>} 对象URL -> 记录时间
+ */
+async function loadObjectIndex() {
+  const result = await chrome.storage.local.get(OBJECT_INDEX_KEY);
+  return result[OBJECT_INDEX_KEY] || {};
+}
+
+async function isObjectIndexed(url) {
+  const index = await loadObjectIndex();
+  return Boolean(index[url]);
+}
+
+/**
+ * 记录已上传的对象，超出上限时移除最早的记录
+ * 同一上下文内的写入串行执行，避免并发上传时互相覆盖
+ * @param {string} url - 对象URL
+ * @returns {Promise<void>}
+ */
+function addToObjectIndex(url) {
+  objectIndexWrite = objectIndexWrite.then(async () => {
+    const index = await loadObjectIndex();
+    index[url] = Date.now();
+    
+    const urls = Object.keys(index);
+    if (urls.length > MAX_OBJECT_INDEX_SIZE) {
+      urls.sort((a, b) => index[a] - index[b])
+        .slice(0, urls.length - MAX_OBJECT_INDEX_SIZE)
+        .forEach(oldUrl => delete index[oldUrl]);
+    }
+    
+    await chrome.storage.local.set({ [OBJECT_INDEX_KEY]: index });
+  }).catch(error => {
+    console.error('更新S3对象索引失败', error);
+  });
+  
+  return objectIndexWrite;
+}
+
 /**
  * 批量上传图片
- * @param {Array} imageArray - 图片数组 [{blob, filename}, ...]
+ * @param {Array} imageArray - 图片数组 [{blob, filename, keepFormat?}, ...]，keepFormat 为 true 时只压缩不转换格式
  * @param {Object} s3Config - S3配置
- * @param {Function} onProgress - 进度回调
+ * @param {Function} onProgress - 进度回调 (current, total, savedBytes)，savedBytes 为图片优化累计节省的字节数
  * @returns {Promise<Array>} 上传结果数组
  */
 export async function uploadImages(imageArray, s3Config, onProgress = null) {
   const results = [];
   const concurrency = 5; // 最大并发数
+  let savedBytes = 0;
   
   for (let i = 0; i < imageArray.length; i += concurrency) {
     const batch = imageArray.slice(i, i + concurrency);
     const batchPromises = batch.map((item) => 
-      uploadImageWithRetry(item.blob, item.filename, s3Config, 3)
+      uploadImageWithRetry(item.blob, item.filename, item.keepFormat ? keepOriginalFormat(s3Config) : s3Config, 3)
     );
     
     const batchResults = await Promise.allSettled(batchPromises);
-    results.push(...batchResults.map(r => r.status === 'fulfilled' ? r.value : { success: false, message: 'Upload failed' }));
+    const batchValues = batchResults.map(r => r.status === 'fulfilled' ? r.value : { success: false, message: 'Upload failed' });
+    results.push(...batchValues);
+    
+    batchValues.forEach(result => {
+      if (result.success && result.originalSize > result.uploadedSize) {
+        savedBytes += result.originalSize - result.uploadedSize;
+      }
+    });
     
     // 调用进度回调
     if (onProgress) {
-      onProgress(Math.min(i + concurrency, imageArray.length), imageArray.length);
+      onProgress(Math.min(i + concurrency, imageArray.length), imageArray.length, savedBytes);
     }
   }
   
   return results;
 }
 
+/**
+ * 返回保持原图格式的S3配置（仍按设置缩小尺寸和控制体积）
+ * @param {Object} s3Config - S3配置
+ * @returns {Object} optimization.format 为 'original' 的配置副本
+ */
+export function keepOriginalFormat(s3Config) {
+  return { ...s3Config, optimization: { ...s3Config.optimization, format: 'original' } };
+}
+
+/**
+ * 上传前优化图片：按最大尺寸缩小，重新编码（同时去除EXIF等元数据），并尽量控制在单张体积预算内
+ * 元数据始终去除，不受优化开关影响；未缩小尺寸且重新编码后反而更大时保留去除元数据后的原图
+ * GIF、SVG原样返回
+ * @param {Blob} blob - 原图
+ * @param {Object} options - 优化配置，见 DEFAULT_IMAGE_OPTIMIZATION
+ * @returns {Promise<Blob>} 优化后的图片，无需处理时返回原Blob
+ */
+export async function optimizeImage(blob, options = {}) {
+  const settings = { ...DEFAULT_IMAGE_OPTIMIZATION, ...options };
+  
+  if (!blob.type.startsWith('image/') || PASSTHROUGH_TYPES.includes(blob.type)) {
+    return blob;
+  }
+  
+  const stripped = await stripImageMetadata(blob);
+  if (!settings.enabled) {
+    return stripped;
+  }
+  
+  let bitmap;
+  try {
+    // createImageBitmap 会按EXIF方向旋转图片，重新编码后方向信息不再需要
+    bitmap = await createImageBitmap(blob);
+  } catch (error) {
+    console.warn('图片无法解码，跳过优化', blob.type, error);
+    return stripped;
+  }
+  
+  try {
+    const type = await getOutputType(settings.format, blob.type);
+    let { width, height } = fitDimensions(bitmap.width, bitmap.height, settings.maxWidth, settings.maxHeight);
+    let quality = settings.quality;
+    let output = await encodeImage(bitmap, width, height, type, quality);
+    
+    // 超出体积预算：有损格式先降低质量，仍超出时按比例缩小尺寸
+    for (let attempt = 0; settings.maxBytes > 0 && output.size > settings.maxBytes && attempt < MAX_BUDGET_ATTEMPTS; attempt++) {
+      if (type !== 'image/png' && quality > MIN_QUALITY) {
+        quality = Math.max(MIN_QUALITY, quality - QUALITY_STEP);
+      } else {
+        const ratio = Math.sqrt(settings.maxBytes / output.size) * 0.9;
+        width = Math.max(1, Math.round(width * ratio));
+        height = Math.max(1, Math.round(height * ratio));
+      }
+      output = await encodeImage(bitmap, width, height, type, quality);
+    }
+    
+    if (output.size > settings.maxBytes && settings.maxBytes > 0) {
+      console.warn(`图片优化后仍超出体积预算: ${output.size} > ${settings.maxBytes}`);
+    }
+    
+    const resized = width !== bitmap.width || height !== bitmap.height;
+    if (!resized && output.size >= stripped.size) {
+      return stripped;
+    }
+    
+    return output;
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * 去除JPEG、PNG、WebP原图中的元数据（EXIF、XMP、IPTC、文本、时间），图像数据保持不变
+ * 其他格式或无法解析的文件原样返回
+ * @param {Blob} blob - 原图
+ * @returns {Promise<Blob>}
+ */
+export async function stripImageMetadata(blob) {
+  const strippers = {
+    'image/jpeg': stripJpegSegments,
+    'image/png': stripPngChunks,
+    'image/webp': stripWebpChunks
+  };
+  const strip = strippers[blob.type];
+  if (!strip) {
+    return blob;
+  }
+  
+  try {
+    const parts = strip(new Uint8Array(await blob.arrayBuffer()));
+    return parts ? new Blob(parts, { type: blob.type }) : blob;
+  } catch (error) {
+    console.warn('去除图片元数据失败，保留原图', blob.type, error);
+    return blob;
+  }
+}
+
+/**
+ * 读取4字节的块类型
+ * @returns {string}
+ */
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * 按段拆分JPEG并丢弃元数据段（段结构：0xFF + 标记 + 长度2字节 + 数据），图像扫描数据（SOS之后）原样保留
+ * EXIF中的方向不为默认值时，以只含方向的最小EXIF段代替，避免图片显示时被旋转
+ * @param {Uint8Array} bytes - JPEG文件内容
+ * @returns {Array<Uint8Array>|null} 保留的片段，不是有效JPEG或没有元数据时返回null
+ */
+function stripJpegSegments(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 4 || view.getUint16(0) !== 0xffd8) {
+    return null;
+  }
+  
+  const parts = [bytes.subarray(0, 2)];
+  let removed = false;
+  let offset = 2;
+  
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      return null;
+    }
+    
+    const marker = bytes[offset + 1];
+    // SOS之后是熵编码数据，直到文件结束都原样保留
+    if (marker === 0xda) {
+      break;
+    }
+    
+    const end = offset + 2 + view.getUint16(offset + 2);
+    if (end > bytes.length) {
+      return null;
+    }
+    
+    if (JPEG_METADATA_MARKERS.includes(marker)) {
+      removed = true;
+      const orientation = marker === 0xe1 ? readExifOrientation(bytes.subarray(offset + 4, end)) : 1;
+      if (orientation !== 1) {
+        parts.push(createOrientationSegment(orientation));
+      }
+    } else {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  
+  parts.push(bytes.subarray(offset));
+  return removed ? parts : null;
+}
+
+/**
+ * 从APP1段数据中读取EXIF方向（标签0x0112）
+ * @param {Uint8Array} data - APP1段数据（不含标记和长度）
+ * @returns {number} 方向值，不是EXIF或没有方向标签时返回1
+ */
+function readExifOrientation(data) {
+  if (data.length < 14 || readFourCC(data, 0) !== 'Exif') {
+    return 1;
+  }
+  
+  const tiff = new DataView(data.buffer, data.byteOffset + 6, data.byteLength - 6);
+  const littleEndian = tiff.getUint16(0) === 0x4949;
+  const ifdOffset = tiff.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > tiff.byteLength) {
+    return 1;
+  }
+  
+  const count = tiff.getUint16(ifdOffset, littleEndian);
+  for (let index = 0; index < count; index++) {
+    const entry = ifdOffset + 2 + index * 12;
+    if (entry + 12 > tiff.byteLength) {
+      break;
+    }
+    if (tiff.getUint16(entry, littleEndian) === 0x0112) {
+      return tiff.getUint16(entry + 8, littleEndian);
+    }
+  }
+  
+  return 1;
+}
+
+/**
+ * 生成只含方向标签的APP1段（大端TIFF，IFD0中一个SHORT类型的条目）
+ * @param {number} orientation - EXIF方向值
+ * @returns {Uint8Array}
+ */
+function createOrientationSegment(orientation) {
+  const segment = new Uint8Array(36);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xffe1);
+  view.setUint16(2, 34);
+  segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // 'Exif\0\0'
+  segment.set([0x4d, 0x4d, 0x00, 0x2a], 10); // 'MM' + 42
+  view.setUint32(14, 8);
+  view.setUint16(18, 1);
+  view.setUint16(20, 0x0112);
+  view.setUint16(22, 3);
+  view.setUint32(24, 1);
+  view.setUint16(28, orientation);
+  // 其余为值的填充字节和为0的下一个IFD偏移
+  return segment;
+}
+
+/**
+ * 按块拆分PNG并丢弃元数据块（块结构：长度4字节 + 类型4字节 + 数据 + CRC 4字节）
+ * @param {Uint8Array} bytes - PNG文件内容
+ * @returns {Array<Uint8Array>|null} 保留的片段，不是有效PNG或没有元数据时返回null
+ */
+function stripPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 8 || view.getUint32(0) !== 0x89504e47 || view.getUint32(4) !== 0x0d0a1a0a) {
+    return null;
+  }
+  
+  const parts = [bytes.subarray(0, 8)];
+  let removed = false;
+  let offset = 8;
+  
+  while (offset + 12 <= bytes.length) {
+    const end = offset + 12 + view.getUint32(offset);
+    if (end > bytes.length) {
+      return null;
+    }
+    
+    if (PNG_METADATA_CHUNKS.includes(readFourCC(bytes, offset + 4))) {
+      removed = true;
+    } else {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  
+  return removed ? parts : null;
+}
+
+/**
+ * 按RIFF块拆分WebP并丢弃EXIF/XMP块，同时清除VP8X中的对应标志并修正RIFF长度
+ * @param {Uint8Array} bytes - WebP文件内容
+ * @returns {Array<Uint8Array>|null} 保留的片段，不是有效WebP或没有元数据时返回null
+ */
+function stripWebpChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 12 || readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+    return null;
+  }
+  
+  const chunks = [];
+  let removed = false;
+  let offset = 12;
+  
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    // 块数据长度为奇数时补齐1字节
+    const end = Math.min(bytes.length, offset + 8 + size + (size % 2));
+    if (offset + 8 + size > bytes.length) {
+      return null;
+    }
+    
+    const type = readFourCC(bytes, offset);
+    if (WEBP_METADATA_CHUNKS.includes(type)) {
+      removed = true;
+    } else if (type === 'VP8X' && size >= 1) {
+      const chunk = bytes.slice(offset, end);
+      chunk[8] &= ~VP8X_METADATA_FLAGS;
+      chunks.push(chunk);
+    } else {
+      chunks.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  
+  if (!removed) {
+    return null;
+  }
+  
+  const header = bytes.slice(0, 12);
+  const riffSize = 4 + chunks.reduce((total, chunk) => total + chunk.length, 0);
+  new DataView(header.buffer).setUint32(4, riffSize, true);
+  return [header, ...chunks];
+}
+
+/**
+ * 确定输出格式；浏览器不支持AVIF编码时改用WebP
+ * @param {string} format - 配置的格式
+ * @param {string} originalType - 原图MIME类型
+ * @returns {Promise<string>} MIME类型
+ */
+async function getOutputType(format, originalType) {
+  if (format === 'original') {
+    return ENCODABLE_TYPES.includes(originalType) ? originalType : 'image/png';
+  }
+  
+  if (format === 'avif') {
+    if (avifSupport === null) {
+      // 不支持的类型 convertToBlob 会退回PNG
+      const probe = await new OffscreenCanvas(1, 1).convertToBlob({ type: 'image/avif' });
+      avifSupport = probe.type === 'image/avif';
+    }
+    return avifSupport ? 'image/avif' : 'image/webp';
+  }
+  
+  return format === 'jpeg' ? 'image/jpeg' : 'image/webp';
+}
+
+/**
+ * 按最大宽高等比缩小
+ * @returns {{width: number, height: number}}
+ */
+function fitDimensions(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(
+    1,
+    maxWidth > 0 ? maxWidth / width : 1,
+    maxHeight > 0 ? maxHeight / height : 1
+  );
+  
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * 在OffscreenCanvas上绘制并编码图片
+ * @param {ImageBitmap} bitmap - 原图
+ * @param {number} width - 输出宽度
+ * @param {number} height - 输出高度
+ * @param {string} type - 输出MIME类型
+ * @param {number} quality - 有损格式的质量（0-1）
+ * @returns {Promise<Blob>}
+ */
+function encodeImage(bitmap, width, height, type, quality) {
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  
+  // JPEG不支持透明，透明区域填充白色而不是黑色
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  return canvas.convertToBlob({ type: type, quality: quality });
+}
+
+/**
+ * 由MIME类型得到文件扩展名
+ * @param {string} type - 如 'image/jpeg'
+ * @returns {string}
+ */
+function getExtension(type) {
+  const subtype = (type || '').replace(/^image\//, '');
+  return { jpeg: 'jpg', 'svg+xml': 'svg' }[subtype] || subtype || 'jpg';
+}
+
+/**
+ * 确定对象键的扩展名：优先由图片的MIME类型得到，类型未知时取文件名（去除查询串和片段）中的扩展名
+ * @param {string} type - 图片MIME类型
+ * @param {string} filename - 文件名或URL的最后一段
+ * @returns {string}
+ */
+function getObjectExtension(type, filename) {
+  if (/^image\/[\w.+-]+$/.test(type || '')) {
+    return getExtension(type);
+  }
+  
+  const match = /\.([a-z0-9]{1,5})$/i.exec((filename || '').split(/[?#]/)[0]);
+  return match ? match[1].toLowerCase() : 'jpg';
+}
+
 /**
  * 带重试的图片上传
  * @param {Blob} imageBlob - 图片Blob
@@ -359,7 +874,7 @@ export async function downloadImage(imageUrl) {
  * 处理网页中的图片（下载并上传到S3）
  * @param {Array<string>} imageUrls - 图片URL数组
  * @param {Object} s3Config - S3配置
- * @param {Function} onProgress - 进度回调
+ * @param {Function} onProgress - 进度回调 (current, total, savedBytes)
  * @returns {Promise<Map>} URL映射表 (原始URL -> S3 URL)
  */
 export async function processImages(imageUrls, s3Config, onProgress = null) {
@@ -371,11 +886,14 @@ export async function processImages(imageUrls, s3Config, onProgress = null) {
   
   const imageArray = [];
   
-  // 下载所有图片
-  for (const url of imageUrls) {
+  // 下载所有图片（页面中重复引用的图片只处理一次）
+  for (const url of new Set(imageUrls)) {
     try {
       const blob = await downloadImage(url);
-      const filename = url.split('/').pop() || 'image.jpg';
+      // DataURL（如截图）没有文件名，按MIME类型生成
+      const filename = url.startsWith('data:')
+        ? `image.${(blob.type || 'image/png').replace(/^image\//, '')}`
+        : url.split(/[?#]/)[0].split('/').pop() || 'image.jpg';
       imageArray.push({ blob, filename, originalUrl: url });
     } catch (error) {
       console.error(`下载图片失败: ${url}`, error);
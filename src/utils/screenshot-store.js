@@ -0,0 +1,118 @@
+/**
+ * 待标注截图的临时存储
+ * 截图在Service Worker中捕获，交给标注编辑页处理；截图可能超过chrome.storage的配额，因此以Blob存入IndexedDB
+ */
+
+const DB_NAME = 'BlinkoScreenshots';
+const DB_VERSION = 1;
+const STORE_NAME = 'screenshots';
+// 编辑页未保存也未取消（如直接关闭标签页）时残留的截图，超过此时长后清理
+const STALE_AGE = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * 打开数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * 在单个事务中执行操作
+ * @param {IDBTransactionMode} mode - 'readonly' 或 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest|void
+ * @returns {Promise<*>} 请求结果
+ */
+async function withStore(mode, operation) {
+  const database = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * 保存截图，等待编辑页读取
+ * @param {Blob} blob - 截图
+ * @param {Object} page - 截图所在页面 {url, title}
+ * @param {string} source - 截图来源（写入笔记metadata）
+ * @returns {Promise<string>} 截图ID
+ */
+export async function stashScreenshot(blob, page, source) {
+  await removeStaleScreenshots();
+
+  const id = crypto.randomUUID();
+  await withStore('readwrite', store => store.put({
+    id: id,
+    blob: blob,
+    url: page.url,
+    title: page.title,
+    source: source,
+    createdAt: Date.now()
+  }));
+
+  return id;
+}
+
+/**
+ * 读取截图
+ * @param {string} id - 截图ID
+ * @returns {Promise<Object|null>} {id, blob, url, title, source, createdAt}
+ */
+export async function getStashedScreenshot(id) {
+  return (await withStore('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * 删除截图（保存或放弃后调用）
+ * @param {string} id - 截图ID
+ * @returns {Promise<void>}
+ */
+export async function removeStashedScreenshot(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * 清理过期的截图
+ * @returns {Promise<void>}
+ */
+async function removeStaleScreenshots() {
+  const cutoff = Date.now() - STALE_AGE;
+
+  await withStore('readwrite', store => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        return;
+      }
+
+      if (cursor.value.createdAt < cutoff) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+  });
+}
@@ -0,0 +1,131 @@
+/**
+ * 页面截图
+ * 支持可见区域、整页（逐屏滚动截取后在OffscreenCanvas上拼接）和框选区域三种模式
+ */
+
+import { blobToDataUrl } from './offline-queue.js';
+
+// captureVisibleTab 每秒最多调用2次，逐屏截取时保持间隔
+const CAPTURE_INTERVAL = 550;
+// 拼接画布的最大高度（设备像素），超长页面只截取到此高度
+const MAX_CANVAS_HEIGHT = 16384;
+
+/**
+ * 按模式截取标签页
+ * @param {chrome.tabs.Tab} tab - 目标标签页（须为当前窗口的活动标签页）
+ * @param {string} mode - 'visible' 可见区域（默认）、'full-page' 整页、'region' 框选区域
+ * @returns {Promise<string|null>} PNG格式的DataURL，用户取消框选时返回null
+ */
+export async function captureScreenshot(tab, mode = 'visible') {
+  if (mode === 'full-page') {
+    return captureFullPage(tab);
+  }
+
+  if (mode === 'region') {
+    return captureRegion(tab);
+  }
+
+  return captureVisible(tab);
+}
+
+/**
+ * 截取当前可见区域
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<string>}
+ */
+function captureVisible(tab) {
+  return chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+}
+
+/**
+ * 逐屏滚动截取整个页面并拼接
+ * 首屏之后隐藏吸顶导航等固定元素，结束后恢复页面状态
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<string>}
+ */
+async function captureFullPage(tab) {
+  const page = await chrome.tabs.sendMessage(tab.id, { action: 'prepare-full-page-capture' });
+  if (!page || !page.success) {
+    throw new Error('无法读取页面尺寸');
+  }
+
+  let canvas = null;
+  let context = null;
+  let scale = 1;
+  let lastCaptureAt = 0;
+
+  try {
+    for (let y = 0; ; y += page.viewportHeight) {
+      const { scrollY } = await chrome.tabs.sendMessage(tab.id, {
+        action: 'scroll-for-capture',
+        y: y,
+        hideFixed: y > 0
+      });
+
+      await wait(lastCaptureAt + CAPTURE_INTERVAL - Date.now());
+      const bitmap = await loadBitmap(await captureVisible(tab));
+      lastCaptureAt = Date.now();
+
+      if (!canvas) {
+        // 截图按设备像素输出，以首屏宽度换算缩放比例
+        scale = bitmap.width / page.viewportWidth;
+        const height = Math.min(Math.round(page.scrollHeight * scale), MAX_CANVAS_HEIGHT);
+        canvas = new OffscreenCanvas(bitmap.width, Math.max(height, bitmap.height));
+        context = canvas.getContext('2d');
+      }
+
+      context.drawImage(bitmap, 0, Math.round(scrollY * scale));
+      bitmap.close();
+
+      // 已到页面底部（实际滚动位置小于目标位置）或画布已填满
+      const bottom = Math.round((scrollY + page.viewportHeight) * scale);
+      if (scrollY < y || bottom >= canvas.height) {
+        break;
+      }
+    }
+  } finally {
+    await chrome.tabs.sendMessage(tab.id, { action: 'finish-full-page-capture' }).catch(() => {});
+  }
+
+  return blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
+}
+
+/**
+ * 在页面上框选区域后截取并裁剪
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<string|null>} 用户按Esc取消时返回null
+ */
+async function captureRegion(tab) {
+  const response = await chrome.tabs.sendMessage(tab.id, { action: 'select-region' });
+  if (!response || !response.success || !response.rect) {
+    return null;
+  }
+
+  const bitmap = await loadBitmap(await captureVisible(tab));
+  const scale = bitmap.width / response.viewportWidth;
+  const { x, y, width, height } = response.rect;
+
+  const canvas = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+  canvas.getContext('2d').drawImage(
+    bitmap,
+    Math.round(x * scale), Math.round(y * scale), canvas.width, canvas.height,
+    0, 0, canvas.width, canvas.height
+  );
+  bitmap.close();
+
+  return blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
+}
+
+/**
+ * 将DataURL解码为ImageBitmap
+ * @param {string} dataUrl
+ * @returns {Promise<ImageBitmap>}
+ */
+async function loadBitmap(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  return createImageBitmap(blob);
+}
+
+function wait(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
@@ -154,12 +154,22 @@ export async function initDefaultConfig() {
     
     // 存储配置
     keep_original_image_link: true,
+    image_optimize_enabled: true,
+    image_optimize_format: 'original',
+    image_optimize_quality: 85,
+    image_max_width: 2560,
+    image_max_height: 0,
+    image_max_size_kb: 1024,
     
     // 懒加载触发配置
     enable_lazy_load_trigger: true,
     lazy_load_scroll_speed: 'medium',
     lazy_load_max_wait: 10,
     
+    // 截图配置
+    screenshot_annotate: true,
+    screenshot_format: 'png',
+    
     // 模板配置
     templates: [{
       name: '默认模板',
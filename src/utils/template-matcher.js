@@ -48,6 +48,20 @@ export function matchTemplate(url, templates, domainRules, defaultTemplate) {
   return getDefaultBuiltInTemplate();
 }
 
+/**
+ * 根据URL匹配正文提取规则
+ * @param {string} url - 当前网页URL
+ * @param {Array} extractionRules - 提取规则列表 [{pattern, type, contentSelector, removeSelectors, titleSelector}, ...]
+ * @returns {Object|null} 第一个匹配的规则，没有匹配时返回null
+ */
+export function matchExtractionRule(url, extractionRules) {
+  if (!url || !extractionRules || extractionRules.length === 0) {
+    return null;
+  }
+  
+  return extractionRules.find(rule => matchesRule(url, rule)) || null;
+}
+
 /**
  * 检查URL是否匹配规则
  * @param {string} url - URL字符串
@@ -124,14 +138,20 @@ function matchesDomain(url, domainPattern) {
 
 /**
  * 应用模板到内容
+ * 模板中的 {{title}}、{{author}}、{{publishedAt}} 等占位符替换为页面元数据，未提供的变量保持原样
  * @param {string} template - 模板字符串（system prompt）
  * @param {string} content - 网页内容（user prompt）
+ * @param {Object} variables - 模板变量，见 getTemplateVariables
  * @returns {Object} {systemPrompt: string, userPrompt: string}
  */
-export function replaceVariables(template, content) {
+export function replaceVariables(template, content, variables = {}) {
+  const systemPrompt = (template || '').replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match
+  ));
+  
   // 模板始终作为system prompt，网页内容作为user prompt
   return {
-    systemPrompt: template || '',
+    systemPrompt: systemPrompt,
     userPrompt: content
   };
 }
@@ -0,0 +1,120 @@
+/**
+ * 笔记幂等提交测试：笔记末尾附加隐藏的幂等标记，重试前按标记查找已存在的笔记
+ * fetch 以内存中的Blinko服务替代
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = {
+  runtime: { sendMessage: async () => {} },
+  storage: { local: { get: async () => ({}), set: async () => {} } }
+};
+
+// 模拟的Blinko：searchSupported 为false时搜索不返回结果，只能扫描最近的笔记
+const blinko = { notes: [], requests: [], searchSupported: true, listStatus: 200 };
+
+globalThis.fetch = async (url, init) => {
+  const path = new URL(url).pathname;
+  const body = JSON.parse(init.body);
+  blinko.requests.push(path);
+
+  if (path === '/api/v1/note/upsert') {
+    const note = { id: blinko.notes.length + 1, content: body.content };
+    blinko.notes.push(note);
+    return Response.json(note);
+  }
+
+  if (path === '/api/v1/note/list') {
+    if (blinko.listStatus !== 200) {
+      return new Response(null, { status: blinko.listStatus });
+    }
+    const notes = body.searchText
+      ? (blinko.searchSupported ? blinko.notes.filter(note => note.content.includes(body.searchText)) : [])
+      : blinko.notes.slice(-body.size);
+    return Response.json(notes);
+  }
+
+  return new Response(null, { status: 404 });
+};
+
+const { createNote, retryQueuedNote, findNoteByIdempotencyKey } = await import('../src/utils/api-client.js');
+
+const API_URL = 'https://blinko.example.com/';
+const KEY = '7d3c9a52-0f5e-4d6b-9a1e-2b8c4f6d0e13';
+const MARKER = `[//]: # (blinko-clip-id:${KEY})`;
+
+beforeEach(() => {
+  Object.assign(blinko, { notes: [], requests: [], searchSupported: true, listStatus: 200 });
+});
+
+test('创建笔记时在末尾附加隐藏的幂等标记', async () => {
+  const result = await createNote(API_URL, 'token', '# Title', 0, { idempotencyKey: KEY });
+
+  assert.equal(result.success, true);
+  assert.equal(blinko.notes[0].content, `# Title\n\n${MARKER}`);
+});
+
+test('未指定幂等ID时自动生成', async () => {
+  await createNote(API_URL, 'token', 'content');
+
+  assert.match(blinko.notes[0].content, /\n\n\[\/\/\]: # \(blinko-clip-id:[0-9a-f-]{36}\)$/);
+});
+
+test('按标记搜索到已存在的笔记', async () => {
+  blinko.notes.push({ id: 1, content: `saved earlier\n\n${MARKER}` });
+
+  const result = await findNoteByIdempotencyKey(API_URL, 'token', KEY);
+
+  assert.equal(result.success, true);
+  assert.equal(result.note.id, 1);
+  assert.deepEqual(blinko.requests, ['/api/v1/note/list']);
+});
+
+test('搜索未命中时扫描最近的笔记', async () => {
+  blinko.searchSupported = false;
+  blinko.notes.push({ id: 1, content: `saved earlier\n\n${MARKER}` });
+
+  const result = await findNoteByIdempotencyKey(API_URL, 'token', KEY);
+
+  assert.equal(result.note.id, 1);
+  assert.deepEqual(blinko.requests, ['/api/v1/note/list', '/api/v1/note/list']);
+});
+
+test('重试时笔记已存在则跳过提交', async () => {
+  await createNote(API_URL, 'token', 'first attempt', 0, { idempotencyKey: KEY });
+
+  const result = await retryQueuedNote({ content: 'first attempt', type: 0, idempotencyKey: KEY }, API_URL, 'token');
+
+  assert.equal(result.success, true);
+  assert.equal(result.duplicate, true);
+  assert.equal(blinko.notes.length, 1);
+});
+
+test('重试时笔记不存在则携带同一标记提交', async () => {
+  const result = await retryQueuedNote({ content: 'queued', type: 1, idempotencyKey: KEY }, API_URL, 'token');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(blinko.notes.map(note => note.content), [`queued\n\n${MARKER}`]);
+
+  // 再次重试不会重复创建
+  await retryQueuedNote({ content: 'queued', type: 1, idempotencyKey: KEY }, API_URL, 'token');
+  assert.equal(blinko.notes.length, 1);
+});
+
+test('无法确认笔记是否存在时不提交', async () => {
+  blinko.listStatus = 502;
+
+  const result = await retryQueuedNote({ content: 'queued', type: 0, idempotencyKey: KEY }, API_URL, 'token');
+
+  assert.equal(result.success, false);
+  assert.deepEqual(blinko.notes, []);
+});
+
+test('没有幂等ID的旧队列项直接提交', async () => {
+  const result = await retryQueuedNote({ content: 'legacy', type: 0 }, API_URL, 'token');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(blinko.requests, ['/api/v1/note/upsert']);
+  assert.equal(blinko.notes[0].content, 'legacy');
+});
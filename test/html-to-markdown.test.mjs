@@ -0,0 +1,34 @@
+/**
+ * HTML转Markdown的fixture测试
+ * fixtures/html-to-markdown 下每个 .html 文件与同名 .md 文件为一组：输入HTML与期望的Markdown输出
+ * 修改转换逻辑后如输出有意变化，需同步更新对应的 .md 文件
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+// 转换器依赖浏览器的 DOMParser 和 Node 常量，由jsdom提供
+const { window } = new JSDOM('');
+globalThis.DOMParser = window.DOMParser;
+globalThis.Node = window.Node;
+
+const { htmlToMarkdown } = await import('../src/utils/html-to-markdown.js');
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'html-to-markdown');
+const fixtures = fs.readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.html'))
+  .map(file => file.slice(0, -'.html'.length))
+  .sort();
+
+for (const name of fixtures) {
+  test(name, () => {
+    const html = fs.readFileSync(path.join(fixturesDir, `${name}.html`), 'utf8');
+    const expected = fs.readFileSync(path.join(fixturesDir, `${name}.md`), 'utf8');
+
+    assert.equal(htmlToMarkdown(html).markdown, expected.trimEnd());
+  });
+}
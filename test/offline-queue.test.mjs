@@ -0,0 +1,136 @@
+/**
+ * 离线队列租约测试：同一项只能被一个处理者领取，租约过期后可被重新领取，续约与结束租约只对持有者生效
+ * IndexedDB 由 fake-indexeddb 提供，chrome.storage 以内存实现替代
+ */
+
+import 'fake-indexeddb/auto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = {};
+globalThis.chrome = {
+  runtime: { sendMessage: async () => {} },
+  alarms: { create: async () => {}, clear: async () => {} },
+  storage: {
+    local: {
+      get: async key => ({ [key]: storage[key] }),
+      set: async items => Object.assign(storage, structuredClone(items)),
+      remove: async key => delete storage[key]
+    }
+  }
+};
+
+const { enqueue, getQueue, leaseItems, completeLease, renewLease, clearQueue } = await import('../src/utils/offline-queue.js');
+const { runQueueProcessor } = await import('../src/utils/queue-processor.js');
+
+let counter = 0;
+
+/**
+ * 入队一条已到重试时间的笔记
+ * @returns {Promise<number>} 队列项ID
+ */
+async function enqueueNote() {
+  const result = await enqueue({ content: `note ${++counter}` });
+  assert.equal(result.success, true);
+  return result.id;
+}
+
+async function getItem(id) {
+  return (await getQueue('all')).find(item => item.id === id);
+}
+
+beforeEach(async () => {
+  await clearQueue();
+});
+
+test('同时领取时同一项只交给一个处理者', async () => {
+  const id = await enqueueNote();
+
+  const [first, second] = await Promise.all([
+    leaseItems('worker-a', { ignoreSchedule: true }),
+    leaseItems('worker-b', { ignoreSchedule: true })
+  ]);
+
+  assert.deepEqual([...first, ...second].map(item => item.id), [id]);
+});
+
+test('未到计划重试时间的项只在忽略调度时被领取', async () => {
+  await enqueueNote();
+
+  assert.deepEqual(await leaseItems('worker-a'), []);
+  assert.equal((await leaseItems('worker-a', { ignoreSchedule: true })).length, 1);
+});
+
+test('租约有效期内不能被其他处理者领取', async () => {
+  const id = await enqueueNote();
+  await leaseItems('worker-a', { ignoreSchedule: true });
+
+  assert.deepEqual(await leaseItems('worker-b', { ignoreSchedule: true }), []);
+
+  const item = await getItem(id);
+  assert.equal(item.status, 'retrying');
+  assert.equal(item.leaseOwner, 'worker-a');
+});
+
+test('租约过期后可被重新领取，原持有者不能再续约或写入结果', async () => {
+  const id = await enqueueNote();
+  await leaseItems('worker-a', { ignoreSchedule: true, leaseDuration: -1 });
+
+  const [item] = await leaseItems('worker-b', { ignoreSchedule: true });
+  assert.equal(item.id, id);
+
+  assert.equal(await renewLease(id, 'worker-a'), false);
+  assert.equal(await completeLease(id, 'worker-a', { status: 'success' }), false);
+  assert.equal((await getItem(id)).leaseOwner, 'worker-b');
+});
+
+test('续约延后过期时间，避免长时间处理的项被重复领取', async () => {
+  const id = await enqueueNote();
+  await leaseItems('worker-a', { ignoreSchedule: true, leaseDuration: -1 });
+
+  assert.equal(await renewLease(id, 'worker-a'), true);
+  assert.ok((await getItem(id)).leaseExpiresAt > Date.now());
+  assert.deepEqual(await leaseItems('worker-b', { ignoreSchedule: true }), []);
+});
+
+test('持有者结束租约时写入结果并释放租约', async () => {
+  const id = await enqueueNote();
+  await leaseItems('worker-a', { ignoreSchedule: true });
+
+  assert.equal(await completeLease(id, 'worker-a', { status: 'success', lastError: '' }), true);
+
+  const item = await getItem(id);
+  assert.equal(item.status, 'success');
+  assert.equal(item.leaseOwner, null);
+  assert.equal(item.leaseExpiresAt, 0);
+});
+
+test('队列处理器对每项只调用一次处理函数，并在处理期间持有租约', async () => {
+  const ids = [await enqueueNote(), await enqueueNote(), await enqueueNote()];
+  const handled = [];
+
+  const results = await runQueueProcessor(async (item, lease) => {
+    handled.push(item.id);
+    assert.equal(await lease.renew(), true);
+    return { status: 'success' };
+  }, { ignoreSchedule: true });
+
+  assert.deepEqual(handled.sort((a, b) => a - b), ids);
+  assert.deepEqual(results.map(result => result.status), ['success', 'success', 'success']);
+  assert.ok((await getQueue('all')).every(item => item.status === 'success' && item.leaseOwner === null));
+});
+
+test('租约丢失时丢弃处理结果，由新的持有者写入', async () => {
+  const id = await enqueueNote();
+
+  const results = await runQueueProcessor(async (item, lease) => {
+    // 模拟处理超时后其他处理者领取了同一项
+    await completeLease(item.id, (await getItem(item.id)).leaseOwner, { status: 'pending' });
+    await leaseItems('worker-b', { ignoreSchedule: true });
+    assert.equal(await lease.renew(), false);
+    return null;
+  }, { ignoreSchedule: true });
+
+  assert.deepEqual(results, []);
+  assert.equal((await getItem(id)).leaseOwner, 'worker-b');
+});
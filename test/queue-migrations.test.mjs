@@ -0,0 +1,133 @@
+/**
+ * 离线队列数据库迁移测试：旧版本数据库升级后索引齐全，已有队列项补齐新字段
+ * IndexedDB 由 fake-indexeddb 提供
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { STORE_NAME, LATEST_VERSION, runMigrations, backfillItem } = await import('../src/utils/queue-migrations.js');
+
+let counter = 0;
+
+/**
+ * 打开数据库，升级时默认执行迁移
+ * @param {string} name - 数据库名
+ * @param {number} version - 目标版本
+ * @param {Function} [upgrade] - 自定义升级步骤，用于构造旧版本的数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name, version, upgrade = runMigrations) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = event => upgrade(request.result, request.transaction, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runRequest(database, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('旧队列项补齐默认字段', () => {
+  const item = backfillItem({ id: 1, content: 'note', status: 'pending', createdAt: 100 });
+
+  assert.deepEqual(item, {
+    id: 1,
+    content: 'note',
+    status: 'pending',
+    createdAt: 100,
+    idempotencyKey: '',
+    attachments: [],
+    jobType: 'note',
+    templateId: '',
+    footer: '',
+    nextRetryAt: 100,
+    leaseOwner: null,
+    leaseExpiresAt: 0
+  });
+});
+
+test('已有字段保持不变', () => {
+  const item = backfillItem({
+    idempotencyKey: 'key',
+    attachments: [{ url: 'https://example.com/a.png' }],
+    jobType: 'upload',
+    templateId: 'tpl',
+    footer: '--',
+    nextRetryAt: 300,
+    updatedAt: 200,
+    createdAt: 100
+  });
+
+  assert.equal(item.idempotencyKey, 'key');
+  assert.deepEqual(item.attachments, [{ url: 'https://example.com/a.png' }]);
+  assert.equal(item.jobType, 'upload');
+  assert.equal(item.templateId, 'tpl');
+  assert.equal(item.footer, '--');
+  assert.equal(item.nextRetryAt, 300);
+});
+
+test('计划重试时间依次取更新时间、创建时间和当前时间', () => {
+  assert.equal(backfillItem({ updatedAt: 200, createdAt: 100 }).nextRetryAt, 200);
+  assert.equal(backfillItem({ createdAt: 100 }).nextRetryAt, 100);
+
+  const before = Date.now();
+  assert.ok(backfillItem({}).nextRetryAt >= before);
+});
+
+test('清除残留租约，处理中的项恢复为待处理', () => {
+  const item = backfillItem({ status: 'retrying', leaseOwner: 'worker', leaseExpiresAt: Date.now() + 60000 });
+
+  assert.equal(item.status, 'pending');
+  assert.equal(item.leaseOwner, null);
+  assert.equal(item.leaseExpiresAt, 0);
+  assert.equal(backfillItem({ status: 'failed' }).status, 'failed');
+});
+
+test('新建数据库直接升级到最新版本', async () => {
+  const database = await openDatabase(`fresh-${++counter}`, LATEST_VERSION);
+  const indexNames = [...database.transaction(STORE_NAME).objectStore(STORE_NAME).indexNames];
+
+  assert.deepEqual(indexNames.sort(), ['createdAt', 'idempotencyKey', 'nextRetryAt', 'retryCount', 'status']);
+  database.close();
+});
+
+test('v1数据库升级后添加索引并回填已有队列项', async () => {
+  const name = `legacy-${++counter}`;
+  // 上一版本发布时的数据库结构
+  const legacy = await openDatabase(name, 1, database => {
+    const store = database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('status', 'status', { unique: false });
+    store.createIndex('createdAt', 'createdAt', { unique: false });
+    store.createIndex('retryCount', 'retryCount', { unique: false });
+  });
+  await runRequest(legacy, 'readwrite', store => store.add({
+    content: 'saved offline',
+    status: 'retrying',
+    retryCount: 2,
+    createdAt: 100,
+    updatedAt: 200
+  }));
+  legacy.close();
+
+  const database = await openDatabase(name, LATEST_VERSION);
+  const [item] = await runRequest(database, 'readonly', store => store.getAll());
+  const dueItems = await runRequest(database, 'readonly', store => store.index('nextRetryAt').getAll(IDBKeyRange.upperBound(200)));
+
+  assert.equal(item.content, 'saved offline');
+  assert.equal(item.status, 'pending');
+  assert.equal(item.retryCount, 2);
+  assert.equal(item.nextRetryAt, 200);
+  assert.equal(item.jobType, 'note');
+  assert.deepEqual(item.attachments, []);
+  assert.equal(item.leaseOwner, null);
+  assert.deepEqual(dueItems.map(due => due.id), [item.id]);
+  database.close();
+});
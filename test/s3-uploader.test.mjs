@@ -0,0 +1,225 @@
+/**
+ * S3上传测试：对象名为内容的SHA-256、扩展名由图片类型决定；上传前去除图片元数据
+ * fetch 与 chrome.storage 以内存实现替代，只记录请求不访问网络
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+const storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async key => ({ [key]: storage[key] }),
+      set: async items => Object.assign(storage, structuredClone(items))
+    }
+  }
+};
+
+// 模拟的远程图片：URL -> {body, type}
+const remoteImages = new Map();
+const requests = [];
+globalThis.fetch = async (input, init) => {
+  const request = input instanceof Request ? input : new Request(input, init);
+  const image = remoteImages.get(request.url);
+  if (image) {
+    return new Response(image.body, { headers: { 'Content-Type': image.type } });
+  }
+  requests.push(`${request.method} ${request.url}`);
+  return new Response(null, { status: request.method === 'HEAD' ? 404 : 200 });
+};
+
+const { uploadImage, processImages, optimizeImage, stripImageMetadata } = await import('../src/utils/s3-uploader.js');
+
+const s3Config = {
+  accessKey: 'key',
+  secretKey: 'secret',
+  endpoint: 'https://s3.example.com',
+  region: 'us-east-1',
+  bucket: 'notes',
+  cdn: 'https://img.example.com',
+  acl: 'public',
+  customPath: 'clips',
+  optimization: { enabled: false }
+};
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+beforeEach(() => {
+  requests.length = 0;
+  remoteImages.clear();
+  Object.keys(storage).forEach(key => delete storage[key]);
+});
+
+test('对象键为内容哈希加图片类型对应的扩展名', async () => {
+  const result = await uploadImage(new Blob(['jpeg bytes'], { type: 'image/jpeg' }), 'photo.jpeg', s3Config);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(requests, [
+    `HEAD https://s3.example.com/notes/clips/${sha256('jpeg bytes')}.jpg`,
+    `PUT https://s3.example.com/notes/clips/${sha256('jpeg bytes')}.jpg`
+  ]);
+});
+
+test('扩展名不受URL中的查询串或缺失的扩展名影响', async () => {
+  remoteImages.set('https://cdn.example.com/photo.jpg?w=400', { body: 'same bytes', type: 'image/png' });
+  remoteImages.set('https://cdn.example.com/image', { body: 'same bytes', type: 'image/png' });
+
+  const urlMap = await processImages([
+    'https://cdn.example.com/photo.jpg?w=400',
+    'https://cdn.example.com/image'
+  ], s3Config);
+
+  const expected = `https://img.example.com/clips/${sha256('same bytes')}.png`;
+  assert.equal(urlMap.get('https://cdn.example.com/photo.jpg?w=400'), expected);
+  assert.equal(urlMap.get('https://cdn.example.com/image'), expected);
+});
+
+test('类型未知时从去除查询串后的文件名取扩展名', async () => {
+  await uploadImage(new Blob(['webp bytes']), 'banner.webp?v=2#top', s3Config);
+  await uploadImage(new Blob(['unknown bytes']), 'download?id=7', s3Config);
+
+  assert.ok(requests.includes(`PUT https://s3.example.com/notes/clips/${sha256('webp bytes')}.webp`));
+  assert.ok(requests.includes(`PUT https://s3.example.com/notes/clips/${sha256('unknown bytes')}.jpg`));
+});
+
+test('已上传的相同内容不再重复上传', async () => {
+  const first = await uploadImage(new Blob(['dup'], { type: 'image/gif' }), 'a.gif', s3Config);
+  const second = await uploadImage(new Blob(['dup'], { type: 'image/gif' }), 'b.gif', s3Config);
+
+  assert.equal(second.url, first.url);
+  assert.equal(second.deduplicated, true);
+  assert.equal(requests.filter(request => request.startsWith('PUT')).length, 1);
+});
+
+// ========== 元数据去除 ==========
+
+const ascii = text => new TextEncoder().encode(text);
+
+function concat(...parts) {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+function uint(value, size, littleEndian = false) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  size === 2 ? view.setUint16(0, value, littleEndian) : view.setUint32(0, value, littleEndian);
+  return bytes;
+}
+
+function jpegSegment(marker, data) {
+  return concat(new Uint8Array([0xff, marker]), uint(data.length + 2, 2), data);
+}
+
+// 小端EXIF：IFD0中含方向标签和一个GPS信息指针
+function exifWithOrientation(orientation) {
+  return concat(
+    ascii('Exif\0\0II*\0'), uint(8, 4, true), uint(2, 2, true),
+    uint(0x0112, 2, true), uint(3, 2, true), uint(1, 4, true), uint(orientation, 2, true), uint(0, 2, true),
+    uint(0x8825, 2, true), uint(4, 2, true), uint(1, 4, true), uint(38, 4, true),
+    uint(0, 4, true), ascii('GPS 31.2N 121.5E')
+  );
+}
+
+function listJpegMarkers(bytes) {
+  const markers = [];
+  for (let offset = 2; bytes[offset + 1] !== 0xda; offset += 2 + new DataView(bytes.buffer).getUint16(offset + 2)) {
+    markers.push(bytes[offset + 1]);
+  }
+  return markers;
+}
+
+async function readBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+test('关闭优化时仍去除JPEG的EXIF、XMP和注释，保留方向', async () => {
+  const scan = new Uint8Array([0xff, 0xda, 0, 4, 1, 2, 9, 9, 0xff, 0xd9]);
+  const jpeg = concat(
+    new Uint8Array([0xff, 0xd8]),
+    jpegSegment(0xe0, ascii('JFIF\0\x01\x01')),
+    jpegSegment(0xe1, exifWithOrientation(6)),
+    jpegSegment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>')),
+    jpegSegment(0xfe, ascii('shot on a phone')),
+    jpegSegment(0xdb, new Uint8Array(5)),
+    scan
+  );
+
+  const output = await readBytes(await optimizeImage(new Blob([jpeg], { type: 'image/jpeg' }), { enabled: false }));
+
+  assert.deepEqual(listJpegMarkers(output), [0xe0, 0xe1, 0xdb]);
+  assert.ok(!new TextDecoder().decode(output).includes('GPS'));
+  assert.deepEqual(output.slice(-scan.length), scan);
+
+  // 最小EXIF段：大端TIFF，IFD0只有方向标签
+  const exif = output.subarray(2 + 11, 2 + 11 + 36);
+  assert.equal(new TextDecoder().decode(exif.subarray(4, 12)), 'Exif\0\0MM');
+  assert.equal(new DataView(exif.buffer, exif.byteOffset).getUint16(28), 6);
+});
+
+test('默认方向的EXIF整段去除', async () => {
+  const jpeg = concat(
+    new Uint8Array([0xff, 0xd8]),
+    jpegSegment(0xe1, exifWithOrientation(1)),
+    new Uint8Array([0xff, 0xda, 0, 2, 0xff, 0xd9])
+  );
+
+  const output = await readBytes(await stripImageMetadata(new Blob([jpeg], { type: 'image/jpeg' })));
+  assert.deepEqual(output, new Uint8Array([0xff, 0xd8, 0xff, 0xda, 0, 2, 0xff, 0xd9]));
+});
+
+test('去除PNG的EXIF、文本和时间块', async () => {
+  const chunk = (type, data) => concat(uint(data.length, 4), ascii(type), data, uint(0, 4));
+  const png = concat(
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', new Uint8Array(13)),
+    chunk('tEXt', ascii('Author\0someone')),
+    chunk('eXIf', ascii('MM\0*GPS')),
+    chunk('IDAT', new Uint8Array(5)),
+    chunk('tIME', new Uint8Array(7)),
+    chunk('IEND', new Uint8Array(0))
+  );
+
+  const output = await readBytes(await optimizeImage(new Blob([png], { type: 'image/png' }), { enabled: false }));
+  const types = [];
+  for (let offset = 8; offset < output.length; offset += 12 + new DataView(output.buffer).getUint32(offset)) {
+    types.push(new TextDecoder().decode(output.subarray(offset + 4, offset + 8)));
+  }
+
+  assert.deepEqual(types, ['IHDR', 'IDAT', 'IEND']);
+});
+
+test('去除WebP的EXIF、XMP块并清除VP8X标志、修正RIFF长度', async () => {
+  const chunk = (type, data) => concat(ascii(type), uint(data.length, 4, true), data, new Uint8Array(data.length % 2));
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = 0x08 | 0x04 | 0x10;
+  const body = concat(
+    ascii('WEBP'),
+    chunk('VP8X', vp8x),
+    chunk('VP8 ', new Uint8Array(6)),
+    chunk('EXIF', ascii('Exif GPS')),
+    chunk('XMP ', ascii('<x:xmpmeta/>!'))
+  );
+  const webp = concat(ascii('RIFF'), uint(body.length, 4, true), body);
+
+  const output = await readBytes(await stripImageMetadata(new Blob([webp], { type: 'image/webp' })));
+  const view = new DataView(output.buffer);
+
+  assert.equal(view.getUint32(4, true), output.length - 8);
+  assert.equal(output[20], 0x10);
+  assert.equal(output.length, 12 + 18 + 14);
+});
+
+test('无法解析的图片原样返回', async () => {
+  const blob = new Blob(['not an image'], { type: 'image/jpeg' });
+  assert.equal(await stripImageMetadata(blob), blob);
+});